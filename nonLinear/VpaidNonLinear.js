@@ -1,4 +1,4 @@
-:/**
+/**
  * @fileoverview A sample non linear VPAID ad.  Even though this is designed
  * in a way that it can be compiled by closure it does not make use of the
  * libraries.  This simplifies debugging.
@@ -19,9 +19,10 @@ var VpaidNonLinear = function() {
   this.slot_ = null;
 
   /**
-   * An object containing all registered events.  These events are all
-   * callbacks for use by the vpaid ad.
-   * @private {Object}
+   * The registered event listeners by event name.  Several listeners may
+   * subscribe to the same event, the player and an analytics library for
+   * example.
+   * @private {!Object.<string, !Array.<{callback: Function, context: Object}>>}
    */
   this.eventsCallbacks_ = {};
 
@@ -60,6 +61,268 @@ var VpaidNonLinear = function() {
    * @private {!Array.<!object>}
    */
   this.videos_ = [];
+
+  /**
+   * The parsed AdParameters.
+   * @private {!Object}
+   */
+  this.parameters_ = {};
+
+  /**
+   * The canvas the ad is drawn on.
+   * @private {Element}
+   */
+  this.canvas_ = null;
+
+  /**
+   * Id of the next requested animation frame.
+   * @private {?number}
+   */
+  this.animationFrame_ = null;
+
+  /**
+   * Timer for the next frame while the page is hidden, when the animation
+   * runs at HIDDEN_FRAME_INTERVAL instead of every animation frame.
+   * @private {?number}
+   */
+  this.animationTimer_ = null;
+
+  /**
+   * When the ad was paused, 0 while it is not paused.
+   * @private {number}
+   */
+  this.pausedAt_ = 0;
+
+  /**
+   * The thumbnails of the entries in the ads list, by index, null for an
+   * entry without a thumbnail.
+   * @private {!Array.<?Image>}
+   */
+  this.adImages_ = [];
+
+  /**
+   * The index of the entry of the ads list shown in the carousel.
+   * @private {number}
+   */
+  this.adIndex_ = 0;
+
+  /**
+   * Milliseconds the active entry has been shown while the ad was playing.
+   * @private {number}
+   */
+  this.dwellTime_ = 0;
+
+  /**
+   * The entry the carousel is moving away from, null outside a transition.
+   * @private {?number}
+   */
+  this.transitionFrom_ = null;
+
+  /**
+   * Where the entry being moved away from had scrolled to.
+   * @private {number}
+   */
+  this.transitionX_ = 0;
+
+  /**
+   * Milliseconds into the transition between two entries.
+   * @private {number}
+   */
+  this.transitionTime_ = 0;
+
+  /**
+   * When the last animation frame was drawn, 0 before the first one.
+   * @private {number}
+   */
+  this.lastFrameTime_ = 0;
+
+  /**
+   * How far the animation has scrolled, in CSS pixels.
+   * @private {number}
+   */
+  this.animationX_ = 0;
+
+  /**
+   * The size of the player passed to initAd and resizeAd.
+   * @private {{width: number, height: number}}
+   */
+  this.playerSize_ = {width: 0, height: 0};
+
+  /**
+   * Where the canvas is placed in the slot, in CSS pixels.
+   * @private {{width: number, height: number, bottom: number,
+   *     right: ?number}}
+   */
+  this.layout_ = {width: 0, height: 0, bottom: 0, right: null};
+
+  /**
+   * Timer that fails the ad when the overlay image does not load in time.
+   * @private {?number}
+   */
+  this.loadTimer_ = null;
+
+  /**
+   * Sends the tracking beacons, replaced by a recorder when AdParameters sets
+   * recordBeacons.
+   * @private {!{send: function(string, string)}}
+   */
+  this.beaconSender_ = new VpaidNonLinear.BeaconSender();
+
+  /**
+   * The environmentVars passed to initAd.
+   * @private {!Object}
+   */
+  this.environmentVars_ = {};
+
+  /**
+   * The companion elements drawn by the ad.
+   * @private {!Array.<!Element>}
+   */
+  this.companionElements_ = [];
+
+  /**
+   * The icon elements drawn by the ad, by index of the icon in AdParameters.
+   * @private {!Object.<number, !Element>}
+   */
+  this.iconElements_ = {};
+
+  /**
+   * Interval that runs the ad clock, counting down the remaining time and
+   * showing and hiding the icons drawn by the ad.
+   * @private {?number}
+   */
+  this.clockTimer_ = null;
+
+  /**
+   * The remaining time, in whole seconds, last reported through
+   * AdRemainingTimeChange.
+   * @private {number}
+   */
+  this.lastReportedRemainingTime_ = -1;
+
+  /**
+   * Where the ad is in its lifecycle.
+   * @private {VpaidNonLinear.State}
+   */
+  this.state_ = VpaidNonLinear.State.NEW;
+
+  /**
+   * The event listeners added by the ad, removed again when the ad stops.
+   * @private {!Array.<{target: EventTarget, type: string, listener: Function}>}
+   */
+  this.listeners_ = [];
+
+  /**
+   * Measures viewability when AdParameters asks for it.
+   * @private {VpaidNonLinear.ViewabilityTracker}
+   */
+  this.viewability_ = null;
+
+  /**
+   * True while the ad is paused because it went out of view.
+   * @private {boolean}
+   */
+  this.pausedWhenHidden_ = false;
+};
+
+
+/**
+ * The lifecycle states of the ad.
+ * @enum {string}
+ */
+VpaidNonLinear.State = {
+  NEW: 'new',
+  LOADED: 'loaded',
+  STARTED: 'started',
+  PAUSED: 'paused',
+  STOPPED: 'stopped'
+};
+
+
+/**
+ * VAST error codes reported at the start of AdError messages.
+ * @enum {number}
+ */
+VpaidNonLinear.ErrorCode = {
+  UNSUPPORTED_MEDIA: 403,
+  GENERAL_NONLINEAR: 500,
+  RESOURCE_NOT_FOUND: 502,
+  GENERAL_VPAID: 901
+};
+
+
+/**
+ * Seconds to wait for the overlay image to load before failing the ad, unless
+ * AdParameters sets loadTimeout.
+ * @const {number}
+ */
+VpaidNonLinear.DEFAULT_TIMEOUT = 10;
+
+
+/**
+ * The fraction of the ad that has to be in view for it to count as viewable,
+ * unless AdParameters sets viewability.threshold.
+ * @const {number}
+ */
+VpaidNonLinear.DEFAULT_VIEWABLE_THRESHOLD = 0.5;
+
+
+/**
+ * Seconds each entry of the ads list is shown unless it sets dwellTime.
+ * @const {number}
+ */
+VpaidNonLinear.DEFAULT_DWELL_TIME = 5;
+
+
+/**
+ * Milliseconds the carousel takes to fade from one entry to the next.
+ * @const {number}
+ */
+VpaidNonLinear.TRANSITION_TIME = 500;
+
+
+/**
+ * Milliseconds between frames of the animation while the page is hidden.
+ * Nothing is drawn then, the loop only keeps the carousel moving.
+ * @const {number}
+ */
+VpaidNonLinear.HIDDEN_FRAME_INTERVAL = 1000;
+
+
+/**
+ * The ways the overlay can be placed over the player, chosen with layout in
+ * AdParameters.  A bottom banner spans the width of the player, a lower third
+ * covers the bottom third of it and a corner overlay sits in the bottom right
+ * at up to 300x150, the default.
+ * @enum {string}
+ */
+VpaidNonLinear.Layout = {
+  BOTTOM_BANNER: 'bottomBanner',
+  LOWER_THIRD: 'lowerThird',
+  CORNER: 'corner'
+};
+
+
+/**
+ * Seconds the ad has to stay in view to be viewable, the MRC guideline for
+ * display, unless AdParameters sets viewability.viewableTime.
+ * @const {number}
+ */
+VpaidNonLinear.DEFAULT_VIEWABLE_TIME = 1;
+
+
+/**
+ * Maps VPAID events to the AdParameters tracking event whose urls are pinged
+ * when the VPAID event fires.  Mute, unmute and error are tracked where the
+ * volume changes and where errors are reported.
+ * @const {!Object.<string, string>}
+ */
+VpaidNonLinear.TRACKING_EVENTS = {
+  'AdImpression': 'impression',
+  'AdClickThru': 'click',
+  'AdPaused': 'pause',
+  'AdResumed': 'resume',
+  'AdSkipped': 'skip'
 };
 
 
@@ -85,6 +348,21 @@ VpaidNonLinear.IMG_CSS = '.animatedImg {\n' +
     '}';
 
 
+/**
+ * @param {Object} creativeData The creative data passed to initAd.
+ * @return {!Object} The AdParameters of the creative.
+ * @throws {Error} If the AdParameters are missing or not a JSON object.
+ * @private
+ */
+VpaidNonLinear.parseAdParameters_ = function(creativeData) {
+  var parameters = JSON.parse(creativeData['AdParameters']);
+  if (!parameters || typeof parameters != 'object') {
+    throw new Error('Expected a JSON object');
+  }
+  return parameters;
+};
+
+
 /**
  * VPAID defined init ad, initializes all attributes in the ad.  The ad will
  * not start until startAd is called.
@@ -104,32 +382,174 @@ VpaidNonLinear.prototype.initAd = function(
     desiredBitrate,
     creativeData,
     environmentVars) {
+  if (!this.checkState_('initAd', [VpaidNonLinear.State.NEW])) {
+    return;
+  }
   // slot and videoSlot are passed as part of the environmentVars
-  this.attributes_['width'] = width;
-  this.attributes_['height'] = height;
+  this.playerSize_ = {width: width, height: height};
   this.attributes_['viewMode'] = viewMode;
   this.attributes_['desiredBitrate'] = desiredBitrate;
   this.slot_ = environmentVars.slot;
   this.videoSlot_ = environmentVars.videoSlot;
-
-  var data = JSON.parse(creativeData['AdParameters']);
+  this.environmentVars_ = environmentVars;
+
+  try {
+    var data = VpaidNonLinear.parseAdParameters_(creativeData);
+  } catch (e) {
+    this.reportError_(
+        VpaidNonLinear.ErrorCode.GENERAL_VPAID,
+        'Invalid AdParameters: ' + e.message,
+        true);
+    return;
+  }
+  this.parameters_ = data;
   this.ads_ = data.ads || [];
   this.imageUrls_ = data.overlays || [];
   this.videos_ = data.videos || [];
 
   this.log('initAd ' + width + 'x' + height +
       ' ' + viewMode + ' ' + desiredBitrate);
+  this.attributes_['companions'] = this.buildCompanionsXml_();
+  this.attributes_['icons'] = this.buildIconsXml_();
+  if (this.parameters_.recordBeacons) {
+    this.beaconSender_ = new VpaidNonLinear.BeaconRecorder();
+  }
+  this.updateLayout_();
+  if (this.ads_.length == 0) {
+    this.reportError_(
+        VpaidNonLinear.ErrorCode.GENERAL_NONLINEAR,
+        'No ads in AdParameters',
+        true);
+    return;
+  }
+  this.state_ = VpaidNonLinear.State.LOADED;
   this.callEvent_('AdLoaded');
 };
 
 
+/**
+ * Checks that a VPAID method is called in a state where it makes sense.
+ * Calls out of order are reported through AdLog and ignored, except for
+ * startAd which the player waits on and so gets an AdError.
+ * @param {string} method The name of the VPAID method.
+ * @param {!Array.<VpaidNonLinear.State>} states The states the method may be
+ *     called in.
+ * @return {boolean} True if the method may go ahead.
+ * @private
+ */
+VpaidNonLinear.prototype.checkState_ = function(method, states) {
+  if (states.indexOf(this.state_) != -1) {
+    return true;
+  }
+  var message = 'Ignoring ' + method + ' while the ad is ' + this.state_;
+  this.log(message);
+  if (method == 'startAd') {
+    this.reportError_(VpaidNonLinear.ErrorCode.GENERAL_VPAID, message, false);
+  } else {
+    this.callEvent_('AdLog', message);
+  }
+  return false;
+};
+
+
+/**
+ * Adds an event listener that is removed again when the ad stops.
+ * @param {!EventTarget} target
+ * @param {string} type
+ * @param {Function} listener
+ * @private
+ */
+VpaidNonLinear.prototype.listen_ = function(target, type, listener) {
+  target.addEventListener(type, listener, false);
+  this.listeners_.push({target: target, type: type, listener: listener});
+};
+
+
+/**
+ * Removes every event listener added with listen_.
+ * @private
+ */
+VpaidNonLinear.prototype.removeListeners_ = function() {
+  for (var i = 0; i < this.listeners_.length; i++) {
+    var entry = this.listeners_[i];
+    entry.target.removeEventListener(entry.type, entry.listener, false);
+  }
+  this.listeners_ = [];
+};
+
+
+/**
+ * Removes an element the ad added to the page.
+ * @param {Element} element
+ * @private
+ */
+VpaidNonLinear.prototype.removeElement_ = function(element) {
+  if (element && element.parentNode) {
+    element.parentNode.removeChild(element);
+  }
+};
+
+
+/**
+ * Reports a failure through AdError.  The message starts with the VAST error
+ * code so players can tell failures apart.  A fatal error also ends the ad.
+ * @param {number} code The VAST error code, see VpaidNonLinear.ErrorCode.
+ * @param {string} message A description of what went wrong.
+ * @param {boolean} fatal True if the ad can not continue.
+ * @private
+ */
+VpaidNonLinear.prototype.reportError_ = function(code, message, fatal) {
+  var errorMessage = 'Error ' + code + ': ' + message;
+  this.log('AdError ' + errorMessage);
+  this.callEvent_('AdError', errorMessage);
+  this.track_('error', code);
+  if (fatal) {
+    this.stopAd();
+  }
+};
+
+
+/**
+ * Fails the ad if an overlay image has not loaded within the load timeout.
+ * @param {!Image} img
+ * @private
+ */
+VpaidNonLinear.prototype.watchImageLoad_ = function(img) {
+  this.listen_(img, 'error', function() {
+    clearTimeout(this.loadTimer_);
+    this.reportError_(
+        VpaidNonLinear.ErrorCode.RESOURCE_NOT_FOUND,
+        'Unable to load image ' + img.src,
+        true);
+  }.bind(this));
+  this.listen_(img, 'load', function() {
+    clearTimeout(this.loadTimer_);
+  }.bind(this));
+  var timeout = parseFloat(this.parameters_.loadTimeout);
+  if (!(timeout > 0)) {
+    timeout = VpaidNonLinear.DEFAULT_TIMEOUT;
+  }
+  this.loadTimer_ = setTimeout(function() {
+    if (!img.complete) {
+      this.reportError_(
+          VpaidNonLinear.ErrorCode.RESOURCE_NOT_FOUND,
+          'Image did not load within ' + timeout + ' seconds ' + img.src,
+          true);
+    }
+  }.bind(this), timeout * 1000);
+};
+
+
 /**
  * Helper function to update the size of the video player.
  * @private
  */
 VpaidNonLinear.prototype.updateVideoPlayerSize_ = function() {
-  this.videoSlot_.setAttribute('width', this.attributes_['width']);
-  this.videoSlot_.setAttribute('height', this.attributes_['height']);
+  if (!this.videoSlot_) {
+    return;
+  }
+  this.videoSlot_.setAttribute('width', this.playerSize_.width);
+  this.videoSlot_.setAttribute('height', this.playerSize_.height);
 };
 
 
@@ -143,15 +563,54 @@ VpaidNonLinear.prototype.handshakeVersion = function(version) {
 };
 
 /**
- * Called when the overlay is clicked.  Increases the ad duration 10 seconds.
+ * Reports a click through with the arguments VPAID defines and opens the
+ * landing page when AdParameters sets playerHandles to false.
+ * @param {string|undefined} url The landing page.
+ * @param {string|undefined} id An id for the click.
+ * @private
+ */
+VpaidNonLinear.prototype.clickThru_ = function(url, id) {
+  var playerHandles = this.parameters_.playerHandles !== false;
+  url = url || '';
+  id = id || '';
+  this.log('AdClickThru(' + url + ',' + id + ',' + playerHandles + ')');
+  this.callEvent_('AdClickThru', url, id, playerHandles);
+  if (!playerHandles && url) {
+    window.open(url, '_blank');
+  }
+};
+
+
+/**
+ * Called when the overlay is clicked.  The arrows of the carousel move to the
+ * previous or next entry, anywhere else clicks through to the active entry
+ * and increases the ad duration 10 seconds.  Both report the index of the
+ * entry through AdInteraction, a click through without a clickThroughId
+ * also reports it as the AdClickThru id.
+ * @param {Event=} event The click.
  * @private
  */
- VpaidNonLinear.prototype.adsOnClick_ = function() {
-  this.callEvent_('AdClickThru');
+VpaidNonLinear.prototype.adsOnClick_ = function(event) {
+  var x = event && event.offsetX != null ? event.offsetX : -1;
+  var arrowWidth = this.getArrowWidth_();
+  if (x >= 0 && x < arrowWidth) {
+    this.showAd_(this.adIndex_ - 1);
+    this.callEvent_('AdInteraction', 'previous-' + this.adIndex_);
+    return;
+  }
+  if (arrowWidth > 0 && x >= this.layout_.width - arrowWidth) {
+    this.showAd_(this.adIndex_ + 1);
+    this.callEvent_('AdInteraction', 'next-' + this.adIndex_);
+    return;
+  }
+  var ad = this.ads_[this.adIndex_];
+  this.callEvent_('AdInteraction', 'click-' + this.adIndex_);
+  this.clickThru_(
+      ad.clickThroughUrl || this.parameters_.clickThroughUrl,
+      ad.clickThroughId || String(this.adIndex_));
   // Make the duration longer when a click happens.
   // This is mostly a method to test AdRemainingTimeChange behavior works.
-  this.attributes_.duration += 10;
-  this.callEvent_('AdRemainingTimeChange');
+  this.extendDuration_(10);
 };
 
 /**
@@ -159,10 +618,24 @@ VpaidNonLinear.prototype.handshakeVersion = function(version) {
  * @private
  */
 VpaidNonLinear.prototype.overlayOnClick_ = function() {
-  this.callEvent_('AdClickThru');
+  this.clickThru_(
+      this.parameters_.clickThroughUrl,
+      this.parameters_.clickThroughId);
   // Make the duration longer when a click happens.
   // This is mostly a method to test AdRemainingTimeChange behavior works.
-  this.attributes_.duration += 10;
+  this.extendDuration_(10);
+};
+
+
+/**
+ * Makes the ad longer, reporting the new duration and remaining time.
+ * @param {number} seconds
+ * @private
+ */
+VpaidNonLinear.prototype.extendDuration_ = function(seconds) {
+  this.attributes_.duration += seconds;
+  this.callEvent_('AdDurationChange');
+  this.lastReportedRemainingTime_ = Math.ceil(this.getAdRemainingTime());
   this.callEvent_('AdRemainingTimeChange');
 };
 
@@ -192,12 +665,13 @@ VpaidNonLinear.prototype.overlay2OnClick_ = function() {
   }
   if (!foundSource) {
     // Unable to find a source video.
-    this.callEvent_('AdError');
+    this.reportError_(
+        VpaidNonLinear.ErrorCode.UNSUPPORTED_MEDIA,
+        'No video with a supported mimetype',
+        true);
+    return;
   }
-  this.videoSlot_.addEventListener(
-      'ended',
-      this.stopAd.bind(this),
-      false);
+  this.listen_(this.videoSlot_, 'ended', this.stopAd.bind(this));
   this.videoSlot_.play();
 };
 
@@ -207,34 +681,20 @@ VpaidNonLinear.prototype.overlay2OnClick_ = function() {
  */
 VpaidNonLinear.prototype.startAd = function() {
   this.log('Starting ad');
+  if (!this.checkState_('startAd', [VpaidNonLinear.State.LOADED])) {
+    return;
+  }
+  this.state_ = VpaidNonLinear.State.STARTED;
   var date = new Date();
   this.startTime_ = date.getTime();
 
-  const myCanvas = document.createElement('canvas');
-  myCanvas.width = 300;
-  myCanvas.height = 150;
-  const myContext = myCanvas.getContext('2d');
-  let x = 0;
-  let adImg = new Image();
-  let adText = '';
-  adImg.crossOrigin = 'anonymous';
-  adImg.src = this.ads_[0].thumbnailUrl || '';
-  adText = this.ads_[0].title || '';
-  this.slot_.appendChild(myCanvas);
-  myCanvas.addEventListener('click', this.adsOnClick_.bind(this), false);
-  draw();
-
-  function draw() {
-    x = (x + 1) % myCanvas.width;
-    myContext.fillStyle = 'white';
-    myContext.fillRect(0, 0, myCanvas.width, myCanvas.height);
-    myContext.drawImage(adImg, x - 100, 0);
-    myContext.fillStyle = 'black';
-    myContext.font = '50px serif';
-    myContext.fillText(adText, myCanvas.width - x, 100);
-    requestAnimationFrame(draw);
-  }
-
+  this.canvas_ = document.createElement('canvas');
+  this.canvas_.style.position = 'absolute';
+  this.loadAdImages_();
+  this.slot_.appendChild(this.canvas_);
+  this.canvas_.addEventListener('click', this.adsOnClick_.bind(this), false);
+  this.layoutCanvas_();
+  this.animate_();
 
   // var style = document.createElement('style');
   // style.type = 'text/css';
@@ -255,86 +715,553 @@ VpaidNonLinear.prototype.startAd = function() {
   // this.slot_.appendChild(img);
   // img.addEventListener('click', this.overlay2OnClick_.bind(this), false);
 
+  this.renderCompanions_();
+  this.updateIcons_(0);
+  this.lastReportedRemainingTime_ = Math.ceil(this.getAdRemainingTime());
+  this.clockTimer_ = setInterval(this.tick_.bind(this), 250);
+  this.listen_(
+      document,
+      'visibilitychange',
+      this.visibilityChangeHandler_.bind(this));
+  var fullscreenListener = this.fullscreenChangeHandler_.bind(this);
+  this.listen_(document, 'fullscreenchange', fullscreenListener);
+  this.listen_(document, 'webkitfullscreenchange', fullscreenListener);
+  this.startViewability_(this.canvas_);
   this.callEvent_('AdStarted');
+  this.callEvent_('AdImpression');
 };
 
 
 /**
- * Stops the ad.
+ * Works out where the overlay goes from the player size and the layout in
+ * AdParameters.  bottomOffset in AdParameters lifts the overlay above the
+ * player's controls.  The ad width and height report the overlay's own
+ * footprint, not the player's.
+ * @private
  */
-VpaidNonLinear.prototype.stopAd = function() {
-  this.log('Stopping ad');
-  // Calling AdStopped immediately terminates the ad. Setting a timeout allows
-  // events to go through.
-  var callback = this.callEvent_.bind(this);
-  setTimeout(callback, 75, ['AdStopped']);
+VpaidNonLinear.prototype.updateLayout_ = function() {
+  var playerWidth = Math.max(0, this.playerSize_.width || 0);
+  var playerHeight = Math.max(0, this.playerSize_.height || 0);
+  var bottom = Math.max(0, parseFloat(this.parameters_.bottomOffset) || 0);
+  var available = Math.max(0, playerHeight - bottom);
+  var layout;
+  switch (this.parameters_.layout) {
+    case VpaidNonLinear.Layout.BOTTOM_BANNER:
+      layout = {
+        width: playerWidth,
+        height: Math.min(available,
+            Math.min(90, Math.max(50, Math.round(playerHeight * 0.15)))),
+        bottom: bottom,
+        right: null
+      };
+      break;
+    case VpaidNonLinear.Layout.LOWER_THIRD:
+      layout = {
+        width: playerWidth,
+        height: Math.min(available, Math.round(playerHeight / 3)),
+        bottom: bottom,
+        right: null
+      };
+      break;
+    default:
+      // The corner keeps the 2:1 shape of the original 300x150 overlay.
+      var width = Math.min(300, Math.round(playerWidth * 0.4));
+      var height = Math.min(Math.round(width / 2), available);
+      layout = {
+        width: height * 2,
+        height: height,
+        bottom: bottom + 10,
+        right: 10
+      };
+  }
+  this.layout_ = layout;
+  this.attributes_['width'] = layout.width;
+  this.attributes_['height'] = layout.height;
+  this.layoutCanvas_();
 };
 
 
 /**
- * @param {number} value The volume in percentage.
+ * Places and sizes the canvas to the layout.  The backing store is scaled by
+ * devicePixelRatio so the overlay stays sharp on high DPI screens, and the
+ * overlay is drawn again right away.
+ * @private
  */
-VpaidNonLinear.prototype.setAdVolume = function(value) {
-  this.attributes_['volume'] = value;
-  this.log('setAdVolume ' + value);
-  this.callEvent_('AdVolumeChange');
+VpaidNonLinear.prototype.layoutCanvas_ = function() {
+  if (!this.canvas_) {
+    return;
+  }
+  var layout = this.layout_;
+  var pixelRatio = window.devicePixelRatio || 1;
+  var style = this.canvas_.style;
+  style.width = layout.width + 'px';
+  style.height = layout.height + 'px';
+  style.bottom = layout.bottom + 'px';
+  if (layout.right == null) {
+    style.left = '0';
+    style.right = '';
+  } else {
+    style.left = '';
+    style.right = layout.right + 'px';
+  }
+  this.canvas_.width = Math.round(layout.width * pixelRatio);
+  this.canvas_.height = Math.round(layout.height * pixelRatio);
+  this.animationX_ = this.animationX_ % Math.max(1, layout.width);
+  this.drawCanvas_();
 };
 
 
 /**
- * @return {number} The volume of the ad.
+ * Moves the animation and the carousel on by a frame, draws it, and asks for
+ * the next frame.  The loop does not run while the ad is paused and slows
+ * down without drawing while the page is hidden.
+ * @private
  */
-VpaidNonLinear.prototype.getAdVolume = function() {
-  this.log('getAdVolume');
-  return this.attributes_['volume'];
+VpaidNonLinear.prototype.animate_ = function() {
+  this.animationFrame_ = null;
+  this.animationTimer_ = null;
+  var now = new Date().getTime();
+  var elapsed = this.lastFrameTime_ ? now - this.lastFrameTime_ : 0;
+  this.lastFrameTime_ = now;
+  this.advanceCarousel_(elapsed);
+  if (document.hidden) {
+    this.animationTimer_ = setTimeout(
+        this.animate_.bind(this),
+        VpaidNonLinear.HIDDEN_FRAME_INTERVAL);
+    return;
+  }
+  this.animationX_ = (this.animationX_ + 1) % Math.max(1, this.layout_.width);
+  this.drawCanvas_();
+  this.animationFrame_ = requestAnimationFrame(this.animate_.bind(this));
 };
 
 
 /**
- * @param {number} width The new width.
- * @param {number} height A new height.
- * @param {string} viewMode A new view mode.
+ * Stops the animation loop, leaving the last frame on the canvas.
+ * @private
  */
-VpaidNonLinear.prototype.resizeAd = function(width, height, viewMode) {
-  this.log('resizeAd ' + width + 'x' + height + ' ' + viewMode);
-  this.attributes_['width'] = width;
-  this.attributes_['height'] = height;
-  this.attributes_['viewMode'] = viewMode;
-  this.updateVideoPlayerSize_();
-  this.callEvent_('AdSizeChange');
+VpaidNonLinear.prototype.stopAnimation_ = function() {
+  if (this.animationFrame_ != null) {
+    cancelAnimationFrame(this.animationFrame_);
+  }
+  clearTimeout(this.animationTimer_);
+  this.animationFrame_ = null;
+  this.animationTimer_ = null;
+  this.lastFrameTime_ = 0;
 };
 
 
 /**
- * Pauses the ad.
+ * Called when the page is hidden or shown.  Brings the animation back to
+ * full speed as soon as the page is visible again.
+ * @private
  */
-VpaidNonLinear.prototype.pauseAd = function() {
-  this.log('pauseAd');
-  this.videoSlot_.pause();
-  this.callEvent_('AdPaused');
+VpaidNonLinear.prototype.visibilityChangeHandler_ = function() {
+  if (!document.hidden && this.animationTimer_ != null) {
+    clearTimeout(this.animationTimer_);
+    this.animationTimer_ = null;
+    this.animate_();
+  }
 };
 
 
 /**
- * Resumes the ad.
+ * @return {number} Seconds the ad has been playing, not counting pauses, 0
+ *     before it starts.
+ * @private
  */
-VpaidNonLinear.prototype.resumeAd = function() {
-  this.log('resumeAd');
-  this.videoSlot_.play();
-  this.callEvent_('AdResumed');
+VpaidNonLinear.prototype.getAdTime_ = function() {
+  if (!this.startTime_) {
+    return 0;
+  }
+  var now = this.pausedAt_ || new Date().getTime();
+  return (now - this.startTime_) / 1000.0;
 };
 
 
 /**
- * Expands the ad.
+ * Runs the ad clock.  Reports AdRemainingTimeChange every whole second,
+ * updates the icons, and stops the ad once its time is up.  The clock stands
+ * still while the ad is paused.
+ * @private
+ */
+VpaidNonLinear.prototype.tick_ = function() {
+  if (this.state_ != VpaidNonLinear.State.STARTED) {
+    return;
+  }
+  this.updateIcons_(this.getAdTime_());
+  var remainingTime = this.getAdRemainingTime();
+  var remainingSeconds = Math.ceil(remainingTime);
+  if (remainingSeconds != this.lastReportedRemainingTime_) {
+    this.lastReportedRemainingTime_ = remainingSeconds;
+    this.callEvent_('AdRemainingTimeChange');
+  }
+  if (remainingTime <= 0) {
+    this.log('Ad time is up');
+    this.stopAd();
+  }
+};
+
+
+/**
+ * Draws the active entry of the carousel, fading in over the previous one
+ * during a transition, and the arrows when AdParameters asks for them.
+ * @private
+ */
+VpaidNonLinear.prototype.drawCanvas_ = function() {
+  if (!this.canvas_) {
+    return;
+  }
+  var context = this.canvas_.getContext('2d');
+  var width = this.layout_.width;
+  var height = this.layout_.height;
+  var pixelRatio = this.canvas_.width / Math.max(1, width);
+  // Draw in CSS pixels, the transform scales to the backing store.
+  context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, width, height);
+  if (this.transitionFrom_ != null) {
+    var progress = Math.min(
+        1, this.transitionTime_ / VpaidNonLinear.TRANSITION_TIME);
+    context.globalAlpha = 1 - progress;
+    this.drawAd_(context, this.transitionFrom_, this.transitionX_);
+    context.globalAlpha = progress;
+  }
+  this.drawAd_(context, this.adIndex_, this.animationX_);
+  context.globalAlpha = 1;
+  this.drawArrows_(context);
+};
+
+
+/**
+ * Draws the thumbnail and title of an entry scrolling across the canvas,
+ * scaled to the height of the overlay.
+ * @param {!CanvasRenderingContext2D} context
+ * @param {number} index The index of the entry in the ads list.
+ * @param {number} x How far the entry has scrolled.
+ * @private
+ */
+VpaidNonLinear.prototype.drawAd_ = function(context, index, x) {
+  var width = this.layout_.width;
+  var height = this.layout_.height;
+  var image = this.adImages_[index];
+  if (image && image.complete && image.naturalHeight > 0) {
+    var imageWidth = image.naturalWidth * height / image.naturalHeight;
+    context.drawImage(image, x - imageWidth, 0, imageWidth, height);
+  }
+  context.fillStyle = 'black';
+  context.font = Math.round(height / 3) + 'px serif';
+  context.fillText(this.ads_[index].title || '', width - x, height * 2 / 3);
+};
+
+
+/**
+ * Draws the previous and next arrows of the carousel.
+ * @param {!CanvasRenderingContext2D} context
+ * @private
+ */
+VpaidNonLinear.prototype.drawArrows_ = function(context) {
+  var arrowWidth = this.getArrowWidth_();
+  if (arrowWidth == 0) {
+    return;
+  }
+  var width = this.layout_.width;
+  var height = this.layout_.height;
+  context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  context.fillRect(0, 0, arrowWidth, height);
+  context.fillRect(width - arrowWidth, 0, arrowWidth, height);
+  context.fillStyle = 'white';
+  context.font = Math.round(height / 3) + 'px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText('\u2039', arrowWidth / 2, height / 2);
+  context.fillText('\u203a', width - arrowWidth / 2, height / 2);
+  context.textAlign = 'start';
+  context.textBaseline = 'alphabetic';
+};
+
+
+/**
+ * @return {number} The width of each arrow in CSS pixels, 0 unless
+ *     AdParameters sets showArrows and there is more than one entry.
+ * @private
+ */
+VpaidNonLinear.prototype.getArrowWidth_ = function() {
+  if (!this.parameters_.showArrows || this.ads_.length < 2) {
+    return 0;
+  }
+  return Math.round(Math.min(this.layout_.width * 0.1, this.layout_.height));
+};
+
+
+/**
+ * Loads the thumbnails of all entries in the ads list.  Only the first one is
+ * needed to start, the ad fails if it does not load.  Any other that fails,
+ * and any entry without a thumbnail, is shown with its title only.
+ * @private
+ */
+VpaidNonLinear.prototype.loadAdImages_ = function() {
+  this.adImages_ = [];
+  for (var i = 0; i < this.ads_.length; i++) {
+    if (!this.ads_[i].thumbnailUrl) {
+      // Entries without a thumbnail are shown with their title only.
+      this.adImages_.push(null);
+      continue;
+    }
+    var image = new Image();
+    image.crossOrigin = 'anonymous';
+    if (i == 0) {
+      this.watchImageLoad_(image);
+    } else {
+      this.listen_(image, 'error', this.callEvent_.bind(
+          this, 'AdLog', 'Unable to load image of ad ' + i));
+    }
+    image.src = this.ads_[i].thumbnailUrl;
+    this.adImages_.push(image);
+  }
+};
+
+
+/**
+ * Counts down the dwell time of the active entry and moves the carousel on
+ * when it is over.
+ * @param {number} elapsed Milliseconds since the last frame.
+ * @private
+ */
+VpaidNonLinear.prototype.advanceCarousel_ = function(elapsed) {
+  if (this.transitionFrom_ != null) {
+    this.transitionTime_ += elapsed;
+    if (this.transitionTime_ >= VpaidNonLinear.TRANSITION_TIME) {
+      this.transitionFrom_ = null;
+    }
+  }
+  if (this.ads_.length < 2) {
+    return;
+  }
+  this.dwellTime_ += elapsed;
+  var dwellTime = parseFloat(this.ads_[this.adIndex_].dwellTime);
+  if (!(dwellTime > 0)) {
+    dwellTime = VpaidNonLinear.DEFAULT_DWELL_TIME;
+  }
+  if (this.dwellTime_ >= dwellTime * 1000) {
+    this.showAd_(this.adIndex_ + 1);
+  }
+};
+
+
+/**
+ * Moves the carousel to an entry of the ads list, fading from the active one.
+ * @param {number} index The index of the entry, wrapping around at either
+ *     end of the list.
+ * @private
+ */
+VpaidNonLinear.prototype.showAd_ = function(index) {
+  var count = this.ads_.length;
+  index = ((index % count) + count) % count;
+  if (index == this.adIndex_) {
+    return;
+  }
+  this.transitionFrom_ = this.adIndex_;
+  this.transitionX_ = this.animationX_;
+  this.transitionTime_ = 0;
+  this.adIndex_ = index;
+  this.animationX_ = 0;
+  this.dwellTime_ = 0;
+  this.log('Showing ad ' + index);
+  this.drawCanvas_();
+};
+
+/**
+ * Stops the ad and removes everything it added to the page.
+ */
+VpaidNonLinear.prototype.stopAd = function() {
+  this.log('Stopping ad');
+  if (this.state_ == VpaidNonLinear.State.STOPPED) {
+    this.checkState_('stopAd', []);
+    return;
+  }
+  this.state_ = VpaidNonLinear.State.STOPPED;
+  this.stopViewability_();
+  clearTimeout(this.loadTimer_);
+  this.loadTimer_ = null;
+  this.stopAnimation_();
+  if (this.attributes_['expanded']) {
+    this.collapseAd();
+  }
+  this.removeListeners_();
+  this.removeElement_(this.canvas_);
+  this.canvas_ = null;
+  this.adImages_ = [];
+  if (this.videoSlot_ && this.attributes_.linear) {
+    this.videoSlot_.pause();
+  }
+  this.removeCompanions_();
+  clearInterval(this.clockTimer_);
+  this.clockTimer_ = null;
+  this.removeIcons_();
+  // Calling AdStopped immediately terminates the ad. Setting a timeout allows
+  // events to go through.
+  var callback = this.callEvent_.bind(this);
+  setTimeout(callback, 75, 'AdStopped');
+};
+
+
+/**
+ * @param {number} value The volume in percentage.
+ */
+VpaidNonLinear.prototype.setAdVolume = function(value) {
+  var previousValue = this.attributes_['volume'];
+  this.attributes_['volume'] = value;
+  this.log('setAdVolume ' + value);
+  if (value == 0 && previousValue != 0) {
+    this.track_('mute');
+  } else if (value != 0 && previousValue == 0) {
+    this.track_('unmute');
+  }
+  this.callEvent_('AdVolumeChange');
+};
+
+
+/**
+ * @return {number} The volume of the ad.
+ */
+VpaidNonLinear.prototype.getAdVolume = function() {
+  this.log('getAdVolume');
+  return this.attributes_['volume'];
+};
+
+
+/**
+ * @param {number} width The new width.
+ * @param {number} height A new height.
+ * @param {string} viewMode A new view mode.
+ */
+VpaidNonLinear.prototype.resizeAd = function(width, height, viewMode) {
+  this.log('resizeAd ' + width + 'x' + height + ' ' + viewMode);
+  if (!this.checkState_('resizeAd', [
+    VpaidNonLinear.State.LOADED,
+    VpaidNonLinear.State.STARTED,
+    VpaidNonLinear.State.PAUSED
+  ])) {
+    return;
+  }
+  this.playerSize_ = {width: width, height: height};
+  this.attributes_['viewMode'] = viewMode;
+  this.updateVideoPlayerSize_();
+  this.updateLayout_();
+  this.callEvent_('AdSizeChange');
+};
+
+
+/**
+ * Pauses the ad.
+ */
+VpaidNonLinear.prototype.pauseAd = function() {
+  this.log('pauseAd');
+  if (!this.checkState_('pauseAd', [VpaidNonLinear.State.STARTED])) {
+    return;
+  }
+  this.state_ = VpaidNonLinear.State.PAUSED;
+  this.pausedAt_ = new Date().getTime();
+  this.stopAnimation_();
+  if (this.viewability_) {
+    this.viewability_.setActive(false);
+  }
+  this.callEvent_('AdPaused');
+};
+
+
+/**
+ * Resumes the ad.
+ */
+VpaidNonLinear.prototype.resumeAd = function() {
+  this.log('resumeAd');
+  if (!this.checkState_('resumeAd', [VpaidNonLinear.State.PAUSED])) {
+    return;
+  }
+  this.state_ = VpaidNonLinear.State.STARTED;
+  this.pausedWhenHidden_ = false;
+  // The clock starts again from where it was paused.
+  this.startTime_ += new Date().getTime() - this.pausedAt_;
+  this.pausedAt_ = 0;
+  if (this.canvas_) {
+    this.animate_();
+  }
+  if (this.viewability_) {
+    this.viewability_.setActive(true);
+  }
+  this.callEvent_('AdResumed');
+};
+
+
+/**
+ * Expands the ad by showing the slot fullscreen.
  */
 VpaidNonLinear.prototype.expandAd = function() {
   this.log('expandAd');
-  this.attributes_['expanded'] = true;
-  if (elem.requestFullscreen) {
-    elem.requestFullscreen();
+  if (!this.checkState_('expandAd', [
+    VpaidNonLinear.State.STARTED,
+    VpaidNonLinear.State.PAUSED
+  ])) {
+    return;
+  }
+  if (this.attributes_['expanded']) {
+    return;
+  }
+  var element = this.slot_;
+  var requestFullscreen =
+      element.requestFullscreen || element.webkitRequestFullscreen;
+  if (!requestFullscreen) {
+    this.callEvent_('AdLog', 'Fullscreen is not available');
+    return;
   }
-  this.callEvent_('AdExpanded');
+  var onDenied = function(error) {
+    this.callEvent_('AdLog', 'Fullscreen request denied' +
+        (error && error.message ? ': ' + error.message : ''));
+  }.bind(this);
+  try {
+    var request = requestFullscreen.call(element);
+    if (request && request.then) {
+      request.then(null, onDenied);
+    }
+  } catch (e) {
+    onDenied(e);
+  }
+  // The ad is marked expanded once fullscreenchange fires.
+};
+
+
+/**
+ * @return {Element} The element currently shown fullscreen, if any.
+ * @private
+ */
+VpaidNonLinear.prototype.getFullscreenElement_ = function() {
+  return document.fullscreenElement || document.webkitFullscreenElement ||
+      null;
+};
+
+
+/**
+ * Called by the document when it enters or leaves fullscreen, including when
+ * the user leaves fullscreen with Esc.
+ * @private
+ */
+VpaidNonLinear.prototype.fullscreenChangeHandler_ = function() {
+  this.setExpanded_(this.getFullscreenElement_() == this.slot_);
+};
+
+
+/**
+ * Updates the expanded state, firing AdExpandedChange when it changes.
+ * @param {boolean} expanded
+ * @private
+ */
+VpaidNonLinear.prototype.setExpanded_ = function(expanded) {
+  if (this.attributes_['expanded'] == expanded) {
+    return;
+  }
+  this.attributes_['expanded'] = expanded;
+  this.callEvent_('AdExpandedChange');
 };
 
 
@@ -359,11 +1286,28 @@ VpaidNonLinear.prototype.getAdSkippableState = function() {
 
 
 /**
- * Collapses the ad.
+ * Collapses the ad, leaving fullscreen if the ad entered it.
  */
 VpaidNonLinear.prototype.collapseAd = function() {
   this.log('collapseAd');
-  this.attributes_['expanded'] = false;
+  if (!this.attributes_['expanded']) {
+    return;
+  }
+  if (this.getFullscreenElement_() == this.slot_) {
+    var exitFullscreen =
+        document.exitFullscreen || document.webkitExitFullscreen;
+    try {
+      var exit = exitFullscreen.call(document);
+      if (exit && exit.then) {
+        exit.then(null, function() {});
+      }
+    } catch (e) {
+      this.callEvent_('AdLog', 'Unable to leave fullscreen: ' + e.message);
+    }
+  }
+  // Leaving fullscreen is also reported by fullscreenchange, which does
+  // nothing once the ad is collapsed here.
+  this.setExpanded_(false);
 };
 
 
@@ -372,6 +1316,12 @@ VpaidNonLinear.prototype.collapseAd = function() {
  */
 VpaidNonLinear.prototype.skipAd = function() {
   this.log('skipAd');
+  if (!this.checkState_('skipAd', [
+    VpaidNonLinear.State.STARTED,
+    VpaidNonLinear.State.PAUSED
+  ])) {
+    return;
+  }
   var skippableState = this.attributes_['skippableState'];
   if (skippableState) {
     this.callEvent_('AdSkipped');
@@ -389,20 +1339,43 @@ VpaidNonLinear.prototype.subscribe = function(
     aCallback,
     eventName,
     aContext) {
-  this.log('Subscribe ' + aCallback);
-  var callBack = aCallback.bind(aContext);
-  this.eventsCallbacks_[eventName] = callBack;
+  this.log('subscribe ' + eventName);
+  if (typeof aCallback != 'function') {
+    return;
+  }
+  var listeners = this.eventsCallbacks_[eventName] || [];
+  for (var i = 0; i < listeners.length; i++) {
+    if (listeners[i].callback == aCallback &&
+        listeners[i].context == aContext) {
+      return;
+    }
+  }
+  listeners.push({callback: aCallback, context: aContext || null});
+  this.eventsCallbacks_[eventName] = listeners;
 };
 
 
 /**
- * Removes a callback based on the eventName.
+ * Removes a callback registered for the event.  Calls with only an event name,
+ * as older players make them, remove every callback of that event.
  *
- * @param {string} eventName The callback type.
+ * @param {Function|string} aCallback The callback function.
+ * @param {string=} eventName The callback type.
  */
-VpaidNonLinear.prototype.unsubscribe = function(eventName) {
+VpaidNonLinear.prototype.unsubscribe = function(aCallback, eventName) {
+  if (typeof aCallback == 'string') {
+    this.log('unsubscribe ' + aCallback);
+    delete this.eventsCallbacks_[aCallback];
+    return;
+  }
   this.log('unsubscribe ' + eventName);
-  this.eventsCallbacks_[eventName] = null;
+  var listeners = this.eventsCallbacks_[eventName];
+  if (!listeners) {
+    return;
+  }
+  this.eventsCallbacks_[eventName] = listeners.filter(function(listener) {
+    return listener.callback != aCallback;
+  });
 };
 
 
@@ -423,14 +1396,11 @@ VpaidNonLinear.prototype.getAdHeight = function() {
 
 
 /**
- * @return {number} The time remaining in the ad.
+ * @return {number} The seconds remaining in the ad, counted down only while
+ *     the ad plays and never below 0.
  */
 VpaidNonLinear.prototype.getAdRemainingTime = function() {
-  var date = new Date();
-  var currentTime = date.getTime();
-  var remainingTime =
-      this.attributes_.duration - (currentTime - this.startTime_) / 1000.0;
-  return remainingTime;
+  return Math.max(0, this.attributes_.duration - this.getAdTime_());
 };
 
 
@@ -449,14 +1419,326 @@ VpaidNonLinear.prototype.getAdCompanions = function() {
   return this.attributes_['companions'];
 };
 
+/**
+ * Builds the VAST CompanionAds for the companions described in AdParameters.
+ * Each companion has a width, height and a resourceType of 'static', 'html'
+ * or 'iframe' with its resource, and may have an id, a creativeType for
+ * static images, altText and a clickThroughUrl.
+ * @return {string} The CompanionAds xml, empty if there are no companions.
+ * @private
+ */
+VpaidNonLinear.prototype.buildCompanionsXml_ = function() {
+  var companions = this.parameters_.companions || [];
+  if (companions.length == 0) {
+    return '';
+  }
+  var xml = '<CompanionAds>';
+  for (var i = 0; i < companions.length; i++) {
+    var companion = companions[i];
+    xml += '<Companion' +
+        this.xmlAttribute_('id', companion.id) +
+        this.xmlAttribute_('width', companion.width) +
+        this.xmlAttribute_('height', companion.height) + '>';
+    if (companion.resourceType == 'html') {
+      xml += '<HTMLResource>' + this.cdata_(companion.resource) +
+          '</HTMLResource>';
+    } else if (companion.resourceType == 'iframe') {
+      xml += '<IFrameResource>' + this.cdata_(companion.resource) +
+          '</IFrameResource>';
+    } else {
+      xml += '<StaticResource' +
+          this.xmlAttribute_('creativeType', companion.creativeType) + '>' +
+          this.cdata_(companion.resource) + '</StaticResource>';
+    }
+    if (companion.clickThroughUrl) {
+      xml += '<CompanionClickThrough>' +
+          this.cdata_(companion.clickThroughUrl) +
+          '</CompanionClickThrough>';
+    }
+    if (companion.altText) {
+      xml += '<AltText>' + this.cdata_(companion.altText) + '</AltText>';
+    }
+    xml += '</Companion>';
+  }
+  return xml + '</CompanionAds>';
+};
+
+
+/**
+ * @param {string} name
+ * @param {*} value
+ * @return {string} The xml attribute, empty if the value is not set.
+ * @private
+ */
+VpaidNonLinear.prototype.xmlAttribute_ = function(name, value) {
+  if (value == null || value === '') {
+    return '';
+  }
+  var escaped = String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  return ' ' + name + '="' + escaped + '"';
+};
+
+
+/**
+ * @param {*} text
+ * @return {string} The text wrapped in a CDATA section.
+ * @private
+ */
+VpaidNonLinear.prototype.cdata_ = function(text) {
+  // A CDATA section can not contain ']]>', so split it across two sections.
+  return '<![CDATA[' + String(text || '').replace(/]]>/g, ']]]]><![CDATA[>') +
+      ']]>';
+};
+
+
+/**
+ * Draws the companions into the containers named in environmentVars when
+ * AdParameters sets renderCompanions.  A companion's container is the key of
+ * its element in environmentVars.
+ * @private
+ */
+VpaidNonLinear.prototype.renderCompanions_ = function() {
+  if (!this.parameters_.renderCompanions) {
+    return;
+  }
+  var companions = this.parameters_.companions || [];
+  for (var i = 0; i < companions.length; i++) {
+    var companion = companions[i];
+    var container = this.environmentVars_[companion.container];
+    if (!container || !container.appendChild) {
+      this.log('Warning: No container for companion ' +
+          (companion.id || i));
+      continue;
+    }
+    var element = this.createCompanionElement_(companion);
+    container.appendChild(element);
+    this.companionElements_.push(element);
+  }
+};
+
+
+/**
+ * @param {!Object} companion A companion from AdParameters.
+ * @return {!Element} The element showing the companion.
+ * @private
+ */
+VpaidNonLinear.prototype.createCompanionElement_ = function(companion) {
+  var element;
+  if (companion.resourceType == 'html') {
+    element = document.createElement('div');
+    element.innerHTML = companion.resource || '';
+  } else if (companion.resourceType == 'iframe') {
+    element = document.createElement('iframe');
+    element.setAttribute('frameborder', '0');
+    element.setAttribute('scrolling', 'no');
+    element.src = companion.resource || '';
+  } else {
+    element = document.createElement('img');
+    element.alt = companion.altText || '';
+    element.src = companion.resource || '';
+  }
+  element.style.width = companion.width + 'px';
+  element.style.height = companion.height + 'px';
+  if (companion.clickThroughUrl && companion.resourceType != 'iframe') {
+    element.style.cursor = 'pointer';
+    element.addEventListener('click', function() {
+      this.log('Companion click ' + companion.clickThroughUrl);
+      window.open(companion.clickThroughUrl, '_blank');
+    }.bind(this), false);
+  }
+  return element;
+};
+
+
+/**
+ * Removes the companions drawn by the ad.
+ * @private
+ */
+VpaidNonLinear.prototype.removeCompanions_ = function() {
+  for (var i = 0; i < this.companionElements_.length; i++) {
+    var element = this.companionElements_[i];
+    if (element.parentNode) {
+      element.parentNode.removeChild(element);
+    }
+  }
+  this.companionElements_ = [];
+};
+
 
 /**
- * @return {string} A list of icons.
+ * @return {string} The icons in vast xml.
  */
 VpaidNonLinear.prototype.getAdIcons = function() {
   return this.attributes_['icons'];
 };
 
+/**
+ * Builds the VAST Icons for the icons described in AdParameters.  Each icon
+ * has a program, width, height, xPosition, yPosition, an image with its
+ * creativeType, and may have an offset and duration in seconds, a
+ * clickThroughUrl and clickTrackingUrls.
+ * @return {string} The Icons xml, empty if there are no icons.
+ * @private
+ */
+VpaidNonLinear.prototype.buildIconsXml_ = function() {
+  var icons = this.parameters_.icons || [];
+  if (icons.length == 0) {
+    return '';
+  }
+  var xml = '<Icons>';
+  for (var i = 0; i < icons.length; i++) {
+    var icon = icons[i];
+    xml += '<Icon' +
+        this.xmlAttribute_('program', icon.program) +
+        this.xmlAttribute_('width', icon.width) +
+        this.xmlAttribute_('height', icon.height) +
+        this.xmlAttribute_('xPosition', icon.xPosition) +
+        this.xmlAttribute_('yPosition', icon.yPosition) +
+        this.xmlAttribute_('offset', this.formatVastTime_(icon.offset)) +
+        this.xmlAttribute_('duration', this.formatVastTime_(icon.duration)) +
+        '>';
+    xml += '<StaticResource' +
+        this.xmlAttribute_('creativeType', icon.creativeType) + '>' +
+        this.cdata_(icon.image) + '</StaticResource>';
+    var clickTrackingUrls = [].concat(icon.clickTrackingUrls || []);
+    if (icon.clickThroughUrl || clickTrackingUrls.length > 0) {
+      xml += '<IconClicks>';
+      if (icon.clickThroughUrl) {
+        xml += '<IconClickThrough>' + this.cdata_(icon.clickThroughUrl) +
+            '</IconClickThrough>';
+      }
+      for (var j = 0; j < clickTrackingUrls.length; j++) {
+        xml += '<IconClickTracking>' + this.cdata_(clickTrackingUrls[j]) +
+            '</IconClickTracking>';
+      }
+      xml += '</IconClicks>';
+    }
+    xml += '</Icon>';
+  }
+  return xml + '</Icons>';
+};
+
+
+/**
+ * @param {number|undefined} seconds
+ * @return {string} The time as HH:MM:SS.mmm, empty if it is not set.
+ * @private
+ */
+VpaidNonLinear.prototype.formatVastTime_ = function(seconds) {
+  if (seconds == null || isNaN(seconds)) {
+    return '';
+  }
+  var milliseconds = Math.round(seconds * 1000);
+  var pad = function(value, length) {
+    return ('000' + value).slice(-length);
+  };
+  return pad(Math.floor(milliseconds / 3600000), 2) + ':' +
+      pad(Math.floor(milliseconds / 60000) % 60, 2) + ':' +
+      pad(Math.floor(milliseconds / 1000) % 60, 2) + '.' +
+      pad(milliseconds % 1000, 3);
+};
+
+
+/**
+ * Shows the icons the ad draws itself during their offset and duration and
+ * hides them outside of it.  The ad only draws icons when the player sets
+ * playerRendersIcons to false in environmentVars.
+ * @param {number} currentTime The ad time in seconds.
+ * @private
+ */
+VpaidNonLinear.prototype.updateIcons_ = function(currentTime) {
+  if (this.environmentVars_.playerRendersIcons !== false) {
+    return;
+  }
+  var icons = this.parameters_.icons || [];
+  for (var i = 0; i < icons.length; i++) {
+    var icon = icons[i];
+    var offset = icon.offset || 0;
+    var visible = currentTime >= offset &&
+        (icon.duration == null || currentTime < offset + icon.duration);
+    if (visible && !this.iconElements_[i]) {
+      this.iconElements_[i] = this.createIconElement_(icon);
+      this.slot_.appendChild(this.iconElements_[i]);
+    } else if (!visible && this.iconElements_[i]) {
+      this.removeIcon_(i);
+    }
+  }
+};
+
+
+/**
+ * @param {!Object} icon An icon from AdParameters.
+ * @return {!Element} The element showing the icon.
+ * @private
+ */
+VpaidNonLinear.prototype.createIconElement_ = function(icon) {
+  var img = document.createElement('img');
+  img.src = icon.image || '';
+  img.alt = icon.program || '';
+  img.style.position = 'absolute';
+  img.style.width = icon.width + 'px';
+  img.style.height = icon.height + 'px';
+  img.style.cursor = 'pointer';
+  // Positions are either a side of the slot or pixels from the top left.
+  if (icon.xPosition == 'right') {
+    img.style.right = '0';
+  } else {
+    img.style.left = (parseInt(icon.xPosition, 10) || 0) + 'px';
+  }
+  if (icon.yPosition == 'bottom') {
+    img.style.bottom = '0';
+  } else {
+    img.style.top = (parseInt(icon.yPosition, 10) || 0) + 'px';
+  }
+  img.addEventListener('click', this.iconOnClick_.bind(this, icon), false);
+  return img;
+};
+
+
+/**
+ * Called when an icon drawn by the ad is clicked.
+ * @param {!Object} icon The icon from AdParameters.
+ * @private
+ */
+VpaidNonLinear.prototype.iconOnClick_ = function(icon) {
+  this.log('Icon click ' + icon.program);
+  var clickTrackingUrls = [].concat(icon.clickTrackingUrls || []);
+  for (var i = 0; i < clickTrackingUrls.length; i++) {
+    this.beaconSender_.send('iconClick', clickTrackingUrls[i]);
+  }
+  if (icon.clickThroughUrl) {
+    window.open(icon.clickThroughUrl, '_blank');
+  }
+};
+
+
+/**
+ * @param {number} index The index of the icon in AdParameters.
+ * @private
+ */
+VpaidNonLinear.prototype.removeIcon_ = function(index) {
+  var element = this.iconElements_[index];
+  if (element && element.parentNode) {
+    element.parentNode.removeChild(element);
+  }
+  delete this.iconElements_[index];
+};
+
+
+/**
+ * Removes all icons drawn by the ad.
+ * @private
+ */
+VpaidNonLinear.prototype.removeIcons_ = function() {
+  for (var index in this.iconElements_) {
+    this.removeIcon_(Number(index));
+  }
+};
+
 
 /**
  * @return {boolean} True if the ad is a linear, false for non linear.
@@ -476,17 +1758,445 @@ VpaidNonLinear.prototype.log = function(message) {
 
 
 /**
- * Calls an event if there is a callback.
+ * Calls every callback subscribed to an event.  Any further arguments are
+ * passed on to the callbacks.  An exception thrown by one callback is logged
+ * and does not keep the others or the ad from running.
  * @param {string} eventType
+ * @param {...*} var_args
+ * @private
+ */
+VpaidNonLinear.prototype.callEvent_ = function(eventType, var_args) {
+  if (eventType in VpaidNonLinear.TRACKING_EVENTS) {
+    this.track_(VpaidNonLinear.TRACKING_EVENTS[eventType]);
+  }
+  var listeners = this.eventsCallbacks_[eventType];
+  if (!listeners) {
+    return;
+  }
+  var args = Array.prototype.slice.call(arguments, 1);
+  // Copied so callbacks can unsubscribe while the event is dispatched.
+  listeners = listeners.slice();
+  for (var i = 0; i < listeners.length; i++) {
+    try {
+      listeners[i].callback.apply(listeners[i].context, args);
+    } catch (e) {
+      this.log('Error in ' + eventType + ' callback: ' + e);
+    }
+  }
+};
+
+
+/**
+ * Pings the tracking urls that AdParameters lists for a tracking event.
+ * The [ERRORCODE] and [CACHEBUSTING] macros in the urls are filled in.
+ * @param {string} trackingEvent The tracking event, like 'impression'.
+ * @param {number=} opt_errorCode The VAST error code for error tracking.
  * @private
  */
-VpaidNonLinear.prototype.callEvent_ = function(eventType) {
-  if (eventType in this.eventsCallbacks_) {
-    this.eventsCallbacks_[eventType]();
+VpaidNonLinear.prototype.track_ = function(trackingEvent, opt_errorCode) {
+  var tracking = this.parameters_.tracking || {};
+  var urls = [].concat(tracking[trackingEvent] || []);
+  for (var i = 0; i < urls.length; i++) {
+    var url = String(urls[i])
+        .replace('[ERRORCODE]', opt_errorCode || '')
+        .replace('[CACHEBUSTING]',
+            String(Math.floor(Math.random() * 1e8)));
+    this.beaconSender_.send(trackingEvent, url);
   }
 };
 
 
+/**
+ * Returns the beacons recorded instead of sent when AdParameters sets
+ * recordBeacons, so that tests can check what the ad reported.
+ * @return {!Array.<{event: string, url: string}>} The recorded beacons in the
+ *     order they were sent, empty if beacons are not being recorded.
+ */
+VpaidNonLinear.prototype.getRecordedBeacons = function() {
+  if (!(this.beaconSender_ instanceof VpaidNonLinear.BeaconRecorder)) {
+    return [];
+  }
+  return this.beaconSender_.beacons.slice();
+};
+
+
+/**
+ * Starts measuring viewability when AdParameters has a viewability object.
+ * It may set threshold, the fraction of the ad that has to be in view,
+ * viewableTime in seconds, and pauseWhenHidden to pause the ad while it is
+ * out of view.  Milestones are reported through AdLog and AdInteraction and
+ * sent to the viewable, notViewable and viewUndetermined tracking urls.
+ * @param {!Element} element The element the ad is shown in.
+ * @private
+ */
+VpaidNonLinear.prototype.startViewability_ = function(element) {
+  var options = this.parameters_.viewability;
+  if (!options) {
+    return;
+  }
+  var threshold = parseFloat(options.threshold);
+  if (!(threshold > 0 && threshold <= 1)) {
+    threshold = VpaidNonLinear.DEFAULT_VIEWABLE_THRESHOLD;
+  }
+  var viewableTime = parseFloat(options.viewableTime);
+  if (!(viewableTime >= 0)) {
+    viewableTime = VpaidNonLinear.DEFAULT_VIEWABLE_TIME;
+  }
+  this.viewability_ = new VpaidNonLinear.ViewabilityTracker(
+      element,
+      threshold,
+      viewableTime,
+      this.viewabilityHandler_.bind(this));
+  this.viewability_.start();
+};
+
+
+/**
+ * Reports what the viewability tracker measured and pauses or resumes the ad
+ * when it goes out of or comes back into view.
+ * @param {string} event The viewability event.
+ * @private
+ */
+VpaidNonLinear.prototype.viewabilityHandler_ = function(event) {
+  switch (event) {
+    case 'measurable':
+      this.callEvent_('AdLog', 'Viewability measurement started');
+      break;
+    case 'undetermined':
+      this.callEvent_('AdLog', 'Viewability can not be measured');
+      this.track_('viewUndetermined');
+      break;
+    case 'viewable':
+      this.callEvent_('AdLog', 'Viewable impression');
+      this.callEvent_('AdInteraction', 'viewableImpression');
+      this.track_('viewable');
+      break;
+    case 'hidden':
+      if (this.parameters_.viewability.pauseWhenHidden &&
+          this.state_ == VpaidNonLinear.State.STARTED) {
+        this.callEvent_('AdLog', 'Ad out of view, pausing');
+        this.pauseAd();
+        this.pausedWhenHidden_ = true;
+      }
+      break;
+    case 'visible':
+      if (this.pausedWhenHidden_) {
+        this.callEvent_('AdLog', 'Ad back in view, resuming');
+        this.resumeAd();
+      }
+      break;
+  }
+};
+
+
+/**
+ * Stops measuring viewability, reporting an ad that was measured but never
+ * viewable.
+ * @private
+ */
+VpaidNonLinear.prototype.stopViewability_ = function() {
+  this.pausedWhenHidden_ = false;
+  if (!this.viewability_) {
+    return;
+  }
+  this.viewability_.stop();
+  var state = this.viewability_.getState();
+  if (!state.measurable) {
+    return;
+  }
+  this.callEvent_('AdLog', 'Ad was in view for ' +
+      state.inViewTime.toFixed(1) + ' seconds');
+  if (!state.viewable) {
+    this.callEvent_('AdLog', 'Not viewable');
+    this.track_('notViewable');
+  }
+};
+
+
+/**
+ * Returns what the ad measured about its own viewability, so that it can be
+ * compared to what the player measured.
+ * @return {?{measurable: boolean, viewable: boolean, fraction: number,
+ *     inViewTime: number}} Null unless AdParameters turned on viewability.
+ */
+VpaidNonLinear.prototype.getViewability = function() {
+  return this.viewability_ ? this.viewability_.getState() : null;
+};
+
+
+
+/**
+ * Measures the viewability of an element independently of the player.  The
+ * element is viewable once at least a threshold fraction of it has been in
+ * view of a visible page for a continuous stretch of time, 50% for two
+ * seconds for video and one second for display under the MRC guidelines.
+ * @param {!Element} element The element to measure.
+ * @param {number} threshold The fraction of the element that has to be in
+ *     view, between 0 and 1.
+ * @param {number} viewableTime Seconds the element has to stay in view.
+ * @param {function(string)} listener Called with 'measurable' or
+ *     'undetermined' when measurement starts, 'viewable' once the element
+ *     became viewable, and 'hidden' or 'visible' when it goes out of or
+ *     comes back into view.
+ * @constructor
+ */
+VpaidNonLinear.ViewabilityTracker = function(
+    element,
+    threshold,
+    viewableTime,
+    listener) {
+  /**
+   * @private {!Element}
+   */
+  this.element_ = element;
+
+  /**
+   * @private {number}
+   */
+  this.threshold_ = threshold;
+
+  /**
+   * @private {number}
+   */
+  this.viewableTime_ = viewableTime;
+
+  /**
+   * @private {function(string)}
+   */
+  this.listener_ = listener;
+
+  /**
+   * The fraction of the element last reported in view.
+   * @private {number}
+   */
+  this.fraction_ = 0;
+
+  /**
+   * False while the ad is paused, time does not count towards viewability.
+   * @private {boolean}
+   */
+  this.active_ = true;
+
+  /**
+   * When the element last came into view, null while it is out of view.
+   * @private {?number}
+   */
+  this.inViewSince_ = null;
+
+  /**
+   * Milliseconds the element was in view before inViewSince_.
+   * @private {number}
+   */
+  this.inViewTime_ = 0;
+
+  /**
+   * @private {boolean}
+   */
+  this.measurable_ = false;
+
+  /**
+   * @private {boolean}
+   */
+  this.viewable_ = false;
+
+  /**
+   * @private {IntersectionObserver}
+   */
+  this.observer_ = null;
+
+  /**
+   * Fires once the element has been in view for viewableTime_.
+   * @private {?number}
+   */
+  this.viewableTimer_ = null;
+
+  /**
+   * @private {function()}
+   */
+  this.visibilityListener_ = this.update_.bind(this);
+
+  /**
+   * Whether the element was in view at the last update.
+   * @private {boolean}
+   */
+  this.wasInView_ = false;
+};
+
+
+/**
+ * Starts measuring.
+ */
+VpaidNonLinear.ViewabilityTracker.prototype.start = function() {
+  if (!window.IntersectionObserver || document.hidden === undefined) {
+    this.listener_('undetermined');
+    return;
+  }
+  this.measurable_ = true;
+  // The viewable threshold is in the list so that crossing it either way
+  // always calls back.
+  this.observer_ = new IntersectionObserver(
+      this.intersectionHandler_.bind(this),
+      {threshold: [0, 0.25, 0.5, 0.75, 1, this.threshold_]});
+  this.observer_.observe(this.element_);
+  document.addEventListener(
+      'visibilitychange',
+      this.visibilityListener_,
+      false);
+  this.listener_('measurable');
+};
+
+
+/**
+ * Stops measuring and releases the observer.
+ */
+VpaidNonLinear.ViewabilityTracker.prototype.stop = function() {
+  this.setActive(false);
+  if (this.observer_) {
+    this.observer_.disconnect();
+    this.observer_ = null;
+  }
+  document.removeEventListener(
+      'visibilitychange',
+      this.visibilityListener_,
+      false);
+};
+
+
+/**
+ * Pauses or resumes measuring along with the ad.
+ * @param {boolean} active
+ */
+VpaidNonLinear.ViewabilityTracker.prototype.setActive = function(active) {
+  this.active_ = active;
+  this.update_();
+};
+
+
+/**
+ * @param {!Array.<!IntersectionObserverEntry>} entries
+ * @private
+ */
+VpaidNonLinear.ViewabilityTracker.prototype.intersectionHandler_ = function(
+    entries) {
+  this.fraction_ = entries[entries.length - 1].intersectionRatio;
+  this.update_();
+};
+
+
+/**
+ * @return {boolean} True if enough of the element is in view of a visible
+ *     page.
+ */
+VpaidNonLinear.ViewabilityTracker.prototype.isInView = function() {
+  return this.measurable_ && !document.hidden &&
+      this.fraction_ > 0 && this.fraction_ >= this.threshold_;
+};
+
+
+/**
+ * Starts or stops the in view clock after a change in intersection, page
+ * visibility or ad state.
+ * @private
+ */
+VpaidNonLinear.ViewabilityTracker.prototype.update_ = function() {
+  var inView = this.isInView();
+  var counting = inView && this.active_;
+  if (counting && this.inViewSince_ == null) {
+    this.inViewSince_ = new Date().getTime();
+    if (!this.viewable_) {
+      this.viewableTimer_ = setTimeout(
+          this.viewableHandler_.bind(this),
+          this.viewableTime_ * 1000);
+    }
+  } else if (!counting && this.inViewSince_ != null) {
+    this.inViewTime_ += new Date().getTime() - this.inViewSince_;
+    this.inViewSince_ = null;
+    clearTimeout(this.viewableTimer_);
+    this.viewableTimer_ = null;
+  }
+  if (this.measurable_ && inView != this.wasInView_) {
+    this.wasInView_ = inView;
+    this.listener_(inView ? 'visible' : 'hidden');
+  }
+};
+
+
+/**
+ * Called once the element has been in view long enough.
+ * @private
+ */
+VpaidNonLinear.ViewabilityTracker.prototype.viewableHandler_ = function() {
+  this.viewableTimer_ = null;
+  this.viewable_ = true;
+  this.listener_('viewable');
+};
+
+
+/**
+ * @return {{measurable: boolean, viewable: boolean, fraction: number,
+ *     inViewTime: number}} What has been measured so far, inViewTime in
+ *     seconds.
+ */
+VpaidNonLinear.ViewabilityTracker.prototype.getState = function() {
+  var inViewTime = this.inViewTime_;
+  if (this.inViewSince_ != null) {
+    inViewTime += new Date().getTime() - this.inViewSince_;
+  }
+  return {
+    measurable: this.measurable_,
+    viewable: this.viewable_,
+    fraction: this.fraction_,
+    inViewTime: inViewTime / 1000
+  };
+};
+
+
+
+/**
+ * Sends tracking beacons over the network.
+ * @constructor
+ */
+VpaidNonLinear.BeaconSender = function() {};
+
+
+/**
+ * Sends a beacon with navigator.sendBeacon, falling back to an image request
+ * when sendBeacon is missing or refuses the beacon.
+ * @param {string} trackingEvent The tracking event the url belongs to.
+ * @param {string} url
+ */
+VpaidNonLinear.BeaconSender.prototype.send = function(trackingEvent, url) {
+  if (navigator.sendBeacon && navigator.sendBeacon(url)) {
+    return;
+  }
+  var img = new Image();
+  img.src = url;
+};
+
+
+
+/**
+ * A stand-in for BeaconSender that records beacons instead of sending them.
+ * @constructor
+ */
+VpaidNonLinear.BeaconRecorder = function() {
+  /**
+   * The beacons recorded so far.
+   * @type {!Array.<{event: string, url: string}>}
+   */
+  this.beacons = [];
+};
+
+
+/**
+ * @param {string} trackingEvent The tracking event the url belongs to.
+ * @param {string} url
+ */
+VpaidNonLinear.BeaconRecorder.prototype.send = function(trackingEvent, url) {
+  this.beacons.push({event: trackingEvent, url: url});
+};
+
+
 /**
  * Main function called by wrapper to get the vpaid ad.
  * @return {Object} The vpaid compliant ad.
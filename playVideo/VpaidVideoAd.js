@@ -26,9 +26,10 @@ var VpaidVideoPlayer = function() {
   this.videoSlot_ = null;
 
   /**
-   * An object containing all registered events.  These events are all
-   * callbacks for use by the vpaid ad.
-   * @type {Object}
+   * The registered event listeners by event name.  Several listeners may
+   * subscribe to the same event, the player and an analytics library for
+   * example.
+   * @type {!Object.<string, !Array.<{callback: Function, context: Object}>>}
    * @private
    */
   this.eventsCallbacks_ = {};
@@ -41,12 +42,12 @@ var VpaidVideoPlayer = function() {
   this.attributes_ = {
     'companions' : '',
     'desiredBitrate' : 256,
-    'duration' : 30,
+    'duration' : VpaidVideoPlayer.UNKNOWN_TIME,
     'expanded' : false,
     'height' : 0,
     'icons' : '',
     'linear' : true,
-    'remainingTime' : 10,
+    'remainingTime' : VpaidVideoPlayer.UNKNOWN_TIME,
     'skippableState' : false,
     'viewMode' : 'normal',
     'width' : 0,
@@ -73,395 +74,3916 @@ var VpaidVideoPlayer = function() {
   this.lastQuartileIndex_ = 0;
 
   /**
-   * An array of urls and mimetype pairs.
+   * The remaining time, in whole seconds, last reported through
+   * AdRemainingTimeChange.
+   * @type {number}
+   * @private
+   */
+  this.lastReportedRemainingTime_ = -1;
+
+  /**
+   * The entry of parameters_.videos currently loaded in the video slot.
+   * @type {Object}
+   * @private
+   */
+  this.currentVideo_ = null;
+
+  /**
+   * True while the video slot is loading a new rendition and has not yet been
+   * returned to the position of the previous one.
+   * @type {boolean}
+   * @private
+   */
+  this.switchingRendition_ = false;
+
+  /**
+   * The skip button drawn by the ad when AdParameters asks for one.
+   * @type {Element}
+   * @private
+   */
+  this.skipButton_ = null;
+
+  /**
+   * The mute button of the control bar.
+   * @type {Element}
+   * @private
+   */
+  this.muteButton_ = null;
+
+  /**
+   * The volume to go back to when the ad is unmuted.
+   * @type {number}
+   * @private
+   */
+  this.unmutedVolume_ = 1.0;
+
+  /**
+   * Timer that fails the ad when the video does not load in time.
+   * @type {?number}
+   * @private
+   */
+  this.loadTimer_ = null;
+
+  /**
+   * Timer that moves on to the next rendition when the chosen one is not
+   * ready to play in time.
+   * @type {?number}
+   * @private
+   */
+  this.readyTimer_ = null;
+
+  /**
+   * The renditions that failed to become ready, never chosen again.
+   * @type {!Array.<!Object>}
+   * @private
+   */
+  this.failedVideos_ = [];
+
+  /**
+   * When initAd started loading the video, to log how long startup took.
+   * @type {number}
+   * @private
+   */
+  this.loadStartTime_ = 0;
+
+  /**
+   * Timer that fails the ad when playback stalls for too long.
+   * @type {?number}
+   * @private
+   */
+  this.stallTimer_ = null;
+
+  /**
+   * An array of urls and mimetype pairs.  Each video may also declare its
+   * bitrate in kbps and its width and height in pixels, these are used to
+   * pick the rendition that best fits the slot.
    *
    * @type {!object}
    * @private
    */
   this.parameters_ = {};
+
+  /**
+   * Sends the tracking beacons, replaced by a recorder when AdParameters sets
+   * recordBeacons.
+   * @type {!{send: function(string, string)}}
+   * @private
+   */
+  this.beaconSender_ = new VpaidVideoPlayer.BeaconSender();
+
+  /**
+   * Resumes the ad when the page regains focus after a click through.  Set
+   * while the ad waits for the focus to come back.
+   * @type {?function()}
+   * @private
+   */
+  this.focusListener_ = null;
+
+  /**
+   * The element expanded by expandAd, either shown fullscreen or grown to
+   * fill the window.
+   * @type {Element}
+   * @private
+   */
+  this.expandedElement_ = null;
+
+  /**
+   * The inline styles of the expanded element and the video slot from before
+   * the ad was expanded.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.collapsedStyles_ = {};
+
+  /**
+   * True once the video is playing and AdStarted has been reported.
+   * @type {boolean}
+   * @private
+   */
+  this.adStarted_ = false;
+
+  /**
+   * True while the ad is muted because autoplay with sound was blocked.
+   * @type {boolean}
+   * @private
+   */
+  this.mutedForAutoplay_ = false;
+
+  /**
+   * True while playback is blocked until the user interacts with the ad.
+   * @type {boolean}
+   * @private
+   */
+  this.waitingForGesture_ = false;
+
+  /**
+   * The tap to unmute or tap to play control shown when autoplay is blocked.
+   * @type {Element}
+   * @private
+   */
+  this.playbackPrompt_ = null;
+
+  /**
+   * The environmentVars passed to initAd.
+   * @type {!Object}
+   * @private
+   */
+  this.environmentVars_ = {};
+
+  /**
+   * The companion elements drawn by the ad.
+   * @type {!Array.<!Element>}
+   * @private
+   */
+  this.companionElements_ = [];
+
+  /**
+   * The icon elements drawn by the ad, by index of the icon in AdParameters.
+   * @type {!Object.<number, !Element>}
+   * @private
+   */
+  this.iconElements_ = {};
+
+  /**
+   * The track elements the ad added to the video slot.
+   * @type {!Array.<!Element>}
+   * @private
+   */
+  this.captionTracks_ = [];
+
+  /**
+   * The caption track shown when captions are on.
+   * @type {TextTrack}
+   * @private
+   */
+  this.activeCaptionTrack_ = null;
+
+  /**
+   * True while captions are on.
+   * @type {boolean}
+   * @private
+   */
+  this.captionsOn_ = false;
+
+  /**
+   * The button turning captions on and off.
+   * @type {Element}
+   * @private
+   */
+  this.captionButton_ = null;
+
+  /**
+   * Shows the captions when the ad draws them itself.
+   * @type {Element}
+   * @private
+   */
+  this.captionDisplay_ = null;
+
+  /**
+   * Redraws the captions drawn by the ad when the active cues change.
+   * @type {function()}
+   * @private
+   */
+  this.cueChangeListener_ = this.cueChangeHandler_.bind(this);
+
+  /**
+   * The spots played back to back by the ad.  AdParameters lists them under
+   * spots, each with its own videos, clickThroughUrl, clickThroughId and
+   * skipOffset.  Without spots AdParameters itself is the only spot.
+   * @type {!Array.<!Object>}
+   * @private
+   */
+  this.spots_ = [];
+
+  /**
+   * The index of the spot that is playing.
+   * @type {number}
+   * @private
+   */
+  this.spotIndex_ = 0;
+
+  /**
+   * The duration of each spot in seconds, UNKNOWN_TIME while unknown.  Spots
+   * may declare a duration in AdParameters, which is replaced by the duration
+   * of the video once it loads.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.spotDurations_ = [];
+
+  /**
+   * The end card shown after the video completes.
+   * @type {Element}
+   * @private
+   */
+  this.endCard_ = null;
+
+  /**
+   * When the end card was shown, in milliseconds since the epoch.
+   * @type {number}
+   * @private
+   */
+  this.endCardShownAt_ = 0;
+
+  /**
+   * When the ad was paused while showing the end card, in milliseconds since
+   * the epoch, 0 when it is not paused.
+   * @type {number}
+   * @private
+   */
+  this.endCardPausedAt_ = 0;
+
+  /**
+   * Interval counting down the end card.
+   * @type {?number}
+   * @private
+   */
+  this.endCardTimer_ = null;
+
+  /**
+   * True while the ad plays again after the user asked for a replay.  Quartiles
+   * are only reported for the first playback.
+   * @type {boolean}
+   * @private
+   */
+  this.replaying_ = false;
+
+  /**
+   * The furthest point of the playing spot the user has watched, in seconds.
+   * Seeking past it is undone when AdParameters sets blockSeeking.
+   * @type {number}
+   * @private
+   */
+  this.watchedTime_ = 0;
+
+  /**
+   * The hotspot elements shown over the video, by index of the hotspot in the
+   * playing spot's hotspots.
+   * @type {!Object.<number, !Element>}
+   * @private
+   */
+  this.hotspotElements_ = {};
+
+  /**
+   * The panel opened by a hotspot, null while none is open.
+   * @type {Element}
+   * @private
+   */
+  this.hotspotPanel_ = null;
+
+  /**
+   * True if opening the hotspot panel paused the ad, so closing it resumes.
+   * @type {boolean}
+   * @private
+   */
+  this.hotspotPanelPaused_ = false;
+
+  /**
+   * The theme of the control bar, AdParameters theme over DEFAULT_THEME.
+   * @type {!Object}
+   * @private
+   */
+  this.theme_ = VpaidVideoPlayer.DEFAULT_THEME;
+
+  /**
+   * The control bar, null if the theme has no controls.
+   * @type {Element}
+   * @private
+   */
+  this.controlBar_ = null;
+
+  /**
+   * @type {Element}
+   * @private
+   */
+  this.playButton_ = null;
+
+  /**
+   * @type {Element}
+   * @private
+   */
+  this.volumeSlider_ = null;
+
+  /**
+   * The part of the progress bar that fills up as the ad plays.
+   * @type {Element}
+   * @private
+   */
+  this.progressBar_ = null;
+
+  /**
+   * Shows the remaining time of the ad.
+   * @type {Element}
+   * @private
+   */
+  this.timeLabel_ = null;
+
+  /**
+   * @type {Element}
+   * @private
+   */
+  this.fullscreenButton_ = null;
+
+  /**
+   * Hides the control bar after a few seconds without user activity.
+   * @type {?number}
+   * @private
+   */
+  this.controlBarTimer_ = null;
+
+  /**
+   * Where the ad is in its lifecycle.
+   * @type {VpaidVideoPlayer.State}
+   * @private
+   */
+  this.state_ = VpaidVideoPlayer.State.NEW;
+
+  /**
+   * The event listeners added by the ad, removed again when the ad stops.
+   * @type {!Array.<{target: !EventTarget, type: string, listener: Function}>}
+   * @private
+   */
+  this.listeners_ = [];
+
+  /**
+   * Measures viewability when AdParameters asks for it.
+   * @type {VpaidVideoPlayer.ViewabilityTracker}
+   * @private
+   */
+  this.viewability_ = null;
+
+  /**
+   * True while the ad is paused because it went out of view.
+   * @type {boolean}
+   * @private
+   */
+  this.pausedWhenHidden_ = false;
+
+  /**
+   * The overlay image, clicking it goes to the landing page.
+   * @type {Element}
+   * @private
+   */
+  this.overlay_ = null;
+
+  /**
+   * The attributes of the video slot the ad changes, as they were before
+   * initAd, so the player gets the element back unchanged.
+   * @type {!Object.<string, ?string>}
+   * @private
+   */
+  this.videoSlotAttributes_ = {};
+
+  /**
+   * The muted state and volume of the video slot before initAd, the ad
+   * changes both.
+   * @type {?{muted: boolean, volume: number}}
+   * @private
+   */
+  this.videoSlotVolume_ = null;
+
+  /**
+   * True if the ad created the video slot itself.
+   * @type {boolean}
+   * @private
+   */
+  this.createdVideoSlot_ = false;
 };
 
 
 /**
- * VPAID defined init ad, initializes all attributes in the ad.  The ad will
- * not start until startAd is called.
- *
- * @param {number} width The ad width.
- * @param {number} height The ad heigth.
- * @param {string} viewMode The ad view mode.
- * @param {number} desiredBitrate The desired bitrate.
- * @param {Object} creativeData Data associated with the creative.
- * @param {Object} environmentVars Variables associated with the creative like
- *     the slot and video slot.
+ * The lifecycle states of the ad.
+ * @enum {string}
  */
-VpaidVideoPlayer.prototype.initAd = function(
-    width,
-    height,
-    viewMode,
-    desiredBitrate,
-    creativeData,
-    environmentVars) {
-  // slot and videoSlot are passed as part of the environmentVars
-  this.attributes_['width'] = width;
-  this.attributes_['height'] = height;
-  this.attributes_['viewMode'] = viewMode;
-  this.attributes_['desiredBitrate'] = desiredBitrate;
-  this.slot_ = environmentVars.slot;
-  this.videoSlot_ = environmentVars.videoSlot;
+VpaidVideoPlayer.State = {
+  NEW: 'new',
+  LOADING: 'loading',
+  LOADED: 'loaded',
+  STARTED: 'started',
+  PAUSED: 'paused',
+  STOPPED: 'stopped'
+};
 
-  // Parse the incoming parameters.
-  this.parameters_ = JSON.parse(creativeData['AdParameters']);
 
-  this.log('initAd ' + width + 'x' + height +
-      ' ' + viewMode + ' ' + desiredBitrate);
-  this.updateVideoSlot_();
-  this.videoSlot_.addEventListener(
-      'timeupdate',
-      this.timeUpdateHandler_.bind(this),
-      false);
-  this.videoSlot_.addEventListener(
+/**
+ * VAST error codes reported at the start of AdError messages.
+ * @enum {number}
+ */
+VpaidVideoPlayer.ErrorCode = {
+  GENERAL_LINEAR: 400,
+  FILE_NOT_FOUND: 401,
+  MEDIA_TIMEOUT: 402,
+  UNSUPPORTED_MEDIA: 403,
+  MEDIA_DISPLAY: 405,
+  GENERAL_VPAID: 901
+};
+
+
+/**
+ * The VPAID value of the duration and remaining time while they are not known
+ * yet.  -1 would tell the player they are not implemented.
+ * @const {number}
+ */
+VpaidVideoPlayer.UNKNOWN_TIME = -2;
+
+
+/**
+ * Seconds the end card stays up unless AdParameters sets its duration.
+ * @const {number}
+ */
+VpaidVideoPlayer.DEFAULT_END_CARD_DURATION = 10;
+
+
+/**
+ * Seconds to wait for a rendition to become ready to play before trying the
+ * next one, and for the video to load or to recover from a stall before
+ * failing the ad, unless AdParameters sets loadTimeout or stallTimeout.
+ * @const {number}
+ */
+VpaidVideoPlayer.DEFAULT_TIMEOUT = 10;
+
+
+/**
+ * The look of the control bar.  AdParameters may override any of these in its
+ * theme object: background and color of the bar, accent for the progress bar
+ * and volume slider, position 'bottom' or 'top', the controls to show in
+ * order, and autoHide, the seconds without user activity after which the bar
+ * hides, 0 to keep it up.
+ * @const {!Object}
+ */
+VpaidVideoPlayer.DEFAULT_THEME = {
+  background: 'rgba(0, 0, 0, 0.6)',
+  color: '#fff',
+  accent: '#fc0',
+  position: 'bottom',
+  controls: [
+    'play',
+    'mute',
+    'volume',
+    'progress',
+    'time',
+    'captions',
+    'fullscreen'
+  ],
+  autoHide: 3
+};
+
+
+/**
+ * Seconds the video may move ahead of the watched time before a jump counts
+ * as a forward seek.  Leaves room for timeupdate only firing every 250ms and
+ * for the position restored after a rendition switch.
+ * @const {number}
+ */
+VpaidVideoPlayer.SEEK_TOLERANCE = 1;
+
+
+/**
+ * The fraction of the ad that has to be in view for it to count as viewable,
+ * unless AdParameters sets viewability.threshold.
+ * @const {number}
+ */
+VpaidVideoPlayer.DEFAULT_VIEWABLE_THRESHOLD = 0.5;
+
+
+/**
+ * Seconds the ad has to stay in view to be viewable, the MRC guideline for
+ * video, unless AdParameters sets viewability.viewableTime.
+ * @const {number}
+ */
+VpaidVideoPlayer.DEFAULT_VIEWABLE_TIME = 2;
+
+
+/**
+ * Maps VPAID events to the AdParameters tracking event whose urls are pinged
+ * when the VPAID event fires.  Mute, unmute and error are tracked where the
+ * volume changes and where errors are reported.
+ * @const {!Object.<string, string>}
+ */
+VpaidVideoPlayer.TRACKING_EVENTS = {
+  'AdImpression': 'impression',
+  'AdVideoStart': 'start',
+  'AdVideoFirstQuartile': 'firstQuartile',
+  'AdVideoMidpoint': 'midpoint',
+  'AdVideoThirdQuartile': 'thirdQuartile',
+  'AdVideoComplete': 'complete',
+  'AdClickThru': 'click',
+  'AdPaused': 'pause',
+  'AdResumed': 'resume',
+  'AdSkipped': 'skip'
+};
+
+
+/**
+ * @param {Object} creativeData The creative data passed to initAd.
+ * @return {!Object} The AdParameters of the creative.
+ * @throws {Error} If the AdParameters are missing or not a JSON object.
+ * @private
+ */
+VpaidVideoPlayer.parseAdParameters_ = function(creativeData) {
+  var parameters = JSON.parse(creativeData['AdParameters']);
+  if (!parameters || typeof parameters != 'object') {
+    throw new Error('Expected a JSON object');
+  }
+  return parameters;
+};
+
+
+/**
+ * VPAID defined init ad, initializes all attributes in the ad.  The ad will
+ * not start until startAd is called.
+ *
+ * @param {number} width The ad width.
+ * @param {number} height The ad heigth.
+ * @param {string} viewMode The ad view mode.
+ * @param {number} desiredBitrate The desired bitrate.
+ * @param {Object} creativeData Data associated with the creative.
+ * @param {Object} environmentVars Variables associated with the creative like
+ *     the slot and video slot.
+ */
+VpaidVideoPlayer.prototype.initAd = function(
+    width,
+    height,
+    viewMode,
+    desiredBitrate,
+    creativeData,
+    environmentVars) {
+  if (!this.checkState_('initAd', [VpaidVideoPlayer.State.NEW])) {
+    return;
+  }
+  // slot and videoSlot are passed as part of the environmentVars
+  this.attributes_['width'] = width;
+  this.attributes_['height'] = height;
+  this.attributes_['viewMode'] = viewMode;
+  this.attributes_['desiredBitrate'] = desiredBitrate;
+  this.slot_ = environmentVars.slot;
+  this.videoSlot_ = environmentVars.videoSlot;
+  this.environmentVars_ = environmentVars;
+
+  // Parse the incoming parameters.
+  try {
+    this.parameters_ = VpaidVideoPlayer.parseAdParameters_(creativeData);
+  } catch (e) {
+    this.reportError_(
+        VpaidVideoPlayer.ErrorCode.GENERAL_VPAID,
+        'Invalid AdParameters: ' + e.message,
+        true);
+    return;
+  }
+  this.captionsOn_ = !!this.parameters_.captionsOn;
+  this.spots_ = this.parameters_.spots || [this.parameters_];
+  this.spotDurations_ = this.spots_.map(function(spot) {
+    return spot.duration > 0 ? spot.duration : VpaidVideoPlayer.UNKNOWN_TIME;
+  });
+
+  this.log('initAd ' + width + 'x' + height +
+      ' ' + viewMode + ' ' + desiredBitrate);
+  this.attributes_['companions'] = this.buildCompanionsXml_();
+  this.attributes_['icons'] = this.buildIconsXml_();
+  if (this.parameters_.recordBeacons) {
+    this.beaconSender_ = new VpaidVideoPlayer.BeaconRecorder();
+  }
+  if (!this.updateVideoSlot_()) {
+    return;
+  }
+  this.videoSlotVolume_ = {
+    muted: this.videoSlot_.muted,
+    volume: this.videoSlot_.volume
+  };
+  // The player may hand over a muted or quiet video element, start from there.
+  this.attributes_['volume'] = this.getVideoSlotVolume_();
+  if (this.attributes_['volume'] > 0) {
+    this.unmutedVolume_ = this.attributes_['volume'];
+  }
+  this.listen_(
+      this.videoSlot_,
+      'volumechange',
+      this.volumeChangeHandler_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'loadedmetadata',
+      this.durationChangeHandler_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'durationchange',
+      this.durationChangeHandler_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'timeupdate',
+      this.timeUpdateHandler_.bind(this));
+  this.listen_(
+      this.videoSlot_,
       'ended',
-      this.stopAd.bind(this),
-      false);
+      this.endedHandler_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'error',
+      this.videoErrorHandler_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'loadeddata',
+      this.clearLoadTimer_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'waiting',
+      this.stallHandler_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'stalled',
+      this.stallHandler_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'playing',
+      this.playingHandler_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'pause',
+      this.clearStallTimer_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'seeking',
+      this.seekingHandler_.bind(this));
+  var fullscreenListener = this.fullscreenChangeHandler_.bind(this);
+  this.listen_(document, 'fullscreenchange', fullscreenListener);
+  this.listen_(document, 'webkitfullscreenchange', fullscreenListener);
+  this.listen_(
+      this.videoSlot_,
+      'canplay',
+      this.readyHandler_.bind(this));
+  this.listen_(
+      this.videoSlot_,
+      'canplaythrough',
+      this.readyHandler_.bind(this));
+  // AdLoaded waits until the chosen video can play.
+  this.state_ = VpaidVideoPlayer.State.LOADING;
+  this.loadStartTime_ = new Date().getTime();
+  // HAVE_FUTURE_DATA, the video is ready already.
+  if (this.videoSlot_.readyState >= 3) {
+    this.readyHandler_();
+  } else {
+    this.startReadyTimer_();
+  }
+};
+
+
+/**
+ * Called by the video element once the chosen video can play.  Reports
+ * AdLoaded the first time.
+ * @private
+ */
+VpaidVideoPlayer.prototype.readyHandler_ = function() {
+  if (this.state_ != VpaidVideoPlayer.State.LOADING) {
+    return;
+  }
+  this.clearReadyTimer_();
+  this.state_ = VpaidVideoPlayer.State.LOADED;
+  this.log('Video ready after ' +
+      (new Date().getTime() - this.loadStartTime_) + 'ms');
   this.callEvent_('AdLoaded');
 };
 
 
 /**
- * Called when the overlay is clicked.
+ * Moves on to the next rendition if the chosen video is not ready to play
+ * within the load timeout.
  * @private
  */
-VpaidVideoPlayer.prototype.overlayOnClick_ = function() {
-  this.callEvent_('AdClickThru');
+VpaidVideoPlayer.prototype.startReadyTimer_ = function() {
+  this.clearReadyTimer_();
+  var timeout = this.getTimeout_('loadTimeout');
+  this.readyTimer_ = setTimeout(
+      this.readyTimeoutHandler_.bind(this, timeout),
+      timeout * 1000);
+};
+
+
+/**
+ * Called when the chosen video has not become ready within the load timeout.
+ * Browsers that do not buffer before play(), like iOS Safari or data saver
+ * modes, stop at the metadata or do not load at all.  The video counts as
+ * ready then and the load timeout of startAd watches the playback.  Only a
+ * video that is still loading is given up on.
+ * @param {number} timeout The load timeout in seconds.
+ * @private
+ */
+VpaidVideoPlayer.prototype.readyTimeoutHandler_ = function(timeout) {
+  this.readyTimer_ = null;
+  // HAVE_METADATA, or NETWORK_IDLE with nothing loaded.
+  if (this.videoSlot_.readyState >= 1 || this.videoSlot_.networkState == 1) {
+    this.callEvent_('AdLog', 'Video did not buffer within ' + timeout +
+        ' seconds, the browser loads it on play');
+    this.readyHandler_();
+    return;
+  }
+  this.failOver_(
+      VpaidVideoPlayer.ErrorCode.MEDIA_TIMEOUT,
+      'Video was not ready within ' + timeout + ' seconds ' +
+          this.currentVideo_.url);
+};
+
+
+/**
+ * @private
+ */
+VpaidVideoPlayer.prototype.clearReadyTimer_ = function() {
+  clearTimeout(this.readyTimer_);
+  this.readyTimer_ = null;
+};
+
+
+/**
+ * Gives up on the chosen video while the ad is loading and tries the next
+ * best playable rendition, failing the ad when none are left.
+ * @param {number} code The VAST error code to fail with.
+ * @param {string} message Why the chosen video was given up on.
+ * @private
+ */
+VpaidVideoPlayer.prototype.failOver_ = function(code, message) {
+  this.clearReadyTimer_();
+  this.failedVideos_.push(this.currentVideo_);
+  var video = this.selectVideo_();
+  if (video == null) {
+    this.reportError_(code, message + ', no renditions left', true);
+    return;
+  }
+  this.callEvent_('AdLog', message + ', trying ' + video.url);
+  this.currentVideo_ = video;
+  this.videoSlot_.setAttribute('src', video.url);
+  this.attachCaptions_();
+  this.startReadyTimer_();
+};
+
+
+/**
+ * Checks that a VPAID method is called in a state where it makes sense.
+ * Calls out of order are reported through AdLog and ignored, except for
+ * startAd which the player waits on and so gets an AdError.
+ * @param {string} method The name of the VPAID method.
+ * @param {!Array.<VpaidVideoPlayer.State>} states The states the method may
+ *     be called in.
+ * @return {boolean} True if the method may go ahead.
+ * @private
+ */
+VpaidVideoPlayer.prototype.checkState_ = function(method, states) {
+  if (states.indexOf(this.state_) != -1) {
+    return true;
+  }
+  var message = 'Ignoring ' + method + ' while the ad is ' + this.state_;
+  this.log(message);
+  if (method == 'startAd') {
+    this.reportError_(VpaidVideoPlayer.ErrorCode.GENERAL_VPAID, message, false);
+  } else {
+    this.callEvent_('AdLog', message);
+  }
+  return false;
+};
+
+
+/**
+ * Adds an event listener that is removed again when the ad stops.
+ * @param {!EventTarget} target
+ * @param {string} type
+ * @param {Function} listener
+ * @private
+ */
+VpaidVideoPlayer.prototype.listen_ = function(target, type, listener) {
+  target.addEventListener(type, listener, false);
+  this.listeners_.push({target: target, type: type, listener: listener});
+};
+
+
+/**
+ * Removes an event listener added with listen_.
+ * @param {!EventTarget} target
+ * @param {string} type
+ * @param {Function} listener
+ * @private
+ */
+VpaidVideoPlayer.prototype.unlisten_ = function(target, type, listener) {
+  target.removeEventListener(type, listener, false);
+  this.listeners_ = this.listeners_.filter(function(entry) {
+    return entry.target != target || entry.type != type ||
+        entry.listener != listener;
+  });
+};
+
+
+/**
+ * Removes every event listener added with listen_.
+ * @private
+ */
+VpaidVideoPlayer.prototype.removeListeners_ = function() {
+  for (var i = 0; i < this.listeners_.length; i++) {
+    var entry = this.listeners_[i];
+    entry.target.removeEventListener(entry.type, entry.listener, false);
+  }
+  this.listeners_ = [];
+};
+
+
+/**
+ * Removes an element the ad added to the page.
+ * @param {Element} element
+ * @private
+ */
+VpaidVideoPlayer.prototype.removeElement_ = function(element) {
+  if (element && element.parentNode) {
+    element.parentNode.removeChild(element);
+  }
+};
+
+
+/**
+ * Reports a failure through AdError.  The message starts with the VAST error
+ * code so players can tell failures apart.  A fatal error also ends the ad.
+ * @param {number} code The VAST error code, see VpaidVideoPlayer.ErrorCode.
+ * @param {string} message A description of what went wrong.
+ * @param {boolean} fatal True if the ad can not continue.
+ * @private
+ */
+VpaidVideoPlayer.prototype.reportError_ = function(code, message, fatal) {
+  var errorMessage = 'Error ' + code + ': ' + message;
+  this.log('AdError ' + errorMessage);
+  this.callEvent_('AdError', errorMessage);
+  this.track_('error', code);
+  if (fatal) {
+    this.stopAd();
+  }
+};
+
+
+/**
+ * Called by the video element when the media fails to load or decode.
+ * @private
+ */
+VpaidVideoPlayer.prototype.videoErrorHandler_ = function() {
+  var error = this.videoSlot_.error;
+  var url = this.currentVideo_ ? this.currentVideo_.url : '';
+  var code = VpaidVideoPlayer.ErrorCode.GENERAL_LINEAR;
+  var message = 'Video error';
+  // MediaError codes, the constants are not available in every browser.
+  switch (error ? error.code : 0) {
+    case 1:
+      message = 'Video loading aborted';
+      break;
+    case 2:
+      code = VpaidVideoPlayer.ErrorCode.FILE_NOT_FOUND;
+      message = 'Network error loading video';
+      break;
+    case 3:
+      code = VpaidVideoPlayer.ErrorCode.MEDIA_DISPLAY;
+      message = 'Unable to decode video';
+      break;
+    case 4:
+      code = VpaidVideoPlayer.ErrorCode.UNSUPPORTED_MEDIA;
+      message = 'Video not found or format not supported';
+      break;
+  }
+  if (error && error.message) {
+    message += ' (' + error.message + ')';
+  }
+  if (this.state_ == VpaidVideoPlayer.State.LOADING) {
+    this.failOver_(code, message + ' ' + url);
+    return;
+  }
+  this.reportError_(code, message + ' ' + url, true);
+};
+
+
+/**
+ * Fails the ad if the video has not loaded any data within the load timeout.
+ * @private
+ */
+VpaidVideoPlayer.prototype.startLoadTimer_ = function() {
+  // HAVE_CURRENT_DATA, the video has already loaded.
+  if (this.videoSlot_.readyState >= 2) {
+    return;
+  }
+  this.clearLoadTimer_();
+  var timeout = this.getTimeout_('loadTimeout');
+  var url = this.currentVideo_ ? this.currentVideo_.url : '';
+  this.loadTimer_ = setTimeout(
+      this.reportError_.bind(
+          this,
+          VpaidVideoPlayer.ErrorCode.MEDIA_TIMEOUT,
+          'Video did not load within ' + timeout + ' seconds ' + url,
+          true),
+      timeout * 1000);
+};
+
+
+/**
+ * @private
+ */
+VpaidVideoPlayer.prototype.clearLoadTimer_ = function() {
+  clearTimeout(this.loadTimer_);
+  this.loadTimer_ = null;
+};
+
+
+/**
+ * Called by the video element when playback waits for data.  Fails the ad if
+ * playback does not continue within the stall timeout.
+ * @private
+ */
+VpaidVideoPlayer.prototype.stallHandler_ = function() {
+  if (this.stallTimer_ != null || this.videoSlot_.paused) {
+    return;
+  }
+  var timeout = this.getTimeout_('stallTimeout');
+  this.stallTimer_ = setTimeout(
+      this.reportError_.bind(
+          this,
+          VpaidVideoPlayer.ErrorCode.MEDIA_TIMEOUT,
+          'Video stalled for more than ' + timeout + ' seconds',
+          true),
+      timeout * 1000);
+};
+
+
+/**
+ * @private
+ */
+VpaidVideoPlayer.prototype.clearStallTimer_ = function() {
+  clearTimeout(this.stallTimer_);
+  this.stallTimer_ = null;
+};
+
+
+/**
+ * @param {string} name The name of the timeout in AdParameters.
+ * @return {number} The timeout in seconds.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getTimeout_ = function(name) {
+  var timeout = parseFloat(this.parameters_[name]);
+  return timeout > 0 ? timeout : VpaidVideoPlayer.DEFAULT_TIMEOUT;
+};
+
+
+/**
+ * Starts playback of the video slot.  When autoplay rules block playback the
+ * ad retries muted and then waits for the user, other refusals are reported
+ * as an AdError.
+ * @private
+ */
+VpaidVideoPlayer.prototype.playVideo_ = function() {
+  var playPromise = this.videoSlot_.play();
+  if (!playPromise || !playPromise.then) {
+    // Older browsers do not return a promise.
+    return;
+  }
+  playPromise.then(null, this.playRejectedHandler_.bind(this));
+};
+
+
+/**
+ * Called when the video slot refuses to play.
+ * @param {*} error The reason play() was rejected.
+ * @private
+ */
+VpaidVideoPlayer.prototype.playRejectedHandler_ = function(error) {
+  if (this.state_ == VpaidVideoPlayer.State.STOPPED) {
+    // Settled after the ad stopped, already cleaned up.
+    return;
+  }
+  if (error && error.name == 'AbortError') {
+    // Interrupted by pause() or a new src, not a failure.
+    return;
+  }
+  if (!error || error.name != 'NotAllowedError') {
+    this.reportError_(
+        VpaidVideoPlayer.ErrorCode.GENERAL_LINEAR,
+        'Video playback was rejected' +
+            (error ? ' (' + error.name + ': ' + error.message + ')' : ''),
+        true);
+    return;
+  }
+  if (!this.videoSlot_.muted) {
+    this.callEvent_('AdLog', 'Autoplay with sound was blocked, playing muted');
+    this.setAdVolume(0);
+    this.mutedForAutoplay_ = true;
+    this.showPlaybackPrompt_('Tap to unmute');
+    this.playVideo_();
+    return;
+  }
+  this.callEvent_('AdLog', 'Autoplay was blocked, waiting for the user');
+  // Nothing loads until the user starts playback.
+  this.clearLoadTimer_();
+  this.waitingForGesture_ = true;
+  this.showPlaybackPrompt_('Tap to play');
+};
+
+
+/**
+ * Shows a control over the ad asking the user to unmute or start playback.
+ * @param {string} label
+ * @private
+ */
+VpaidVideoPlayer.prototype.showPlaybackPrompt_ = function(label) {
+  if (!this.playbackPrompt_) {
+    this.playbackPrompt_ = document.createElement('button');
+    this.playbackPrompt_.style.position = 'absolute';
+    this.playbackPrompt_.style.left = '10px';
+    this.playbackPrompt_.style.top = '10px';
+    this.playbackPrompt_.addEventListener(
+        'click',
+        this.playbackPromptOnClick_.bind(this),
+        false);
+    this.slot_.appendChild(this.playbackPrompt_);
+  }
+  this.playbackPrompt_.textContent = label;
+};
+
+
+/**
+ * @private
+ */
+VpaidVideoPlayer.prototype.hidePlaybackPrompt_ = function() {
+  if (this.playbackPrompt_ && this.playbackPrompt_.parentNode) {
+    this.playbackPrompt_.parentNode.removeChild(this.playbackPrompt_);
+  }
+  this.playbackPrompt_ = null;
+};
+
+
+/**
+ * Called when the user taps the playback prompt.  The tap counts as a user
+ * gesture, so the ad can play with sound from here.
+ * @private
+ */
+VpaidVideoPlayer.prototype.playbackPromptOnClick_ = function() {
+  var waitingForGesture = this.waitingForGesture_;
+  this.waitingForGesture_ = false;
+  this.hidePlaybackPrompt_();
+  if (this.mutedForAutoplay_) {
+    this.setAdVolume(this.unmutedVolume_);
+  }
+  if (waitingForGesture) {
+    this.startLoadTimer_();
+    this.playVideo_();
+  }
+};
+
+
+/**
+ * Called by the video element when frames start playing.  The ad is only
+ * reported as started once the video is actually playing.
+ * @private
+ */
+VpaidVideoPlayer.prototype.playingHandler_ = function() {
+  this.clearStallTimer_();
+  if (this.adStarted_) {
+    return;
+  }
+  this.adStarted_ = true;
+  this.callEvent_('AdStarted');
+  this.callEvent_('AdImpression');
+};
+
+
+/**
+ * Reports a click through with the arguments VPAID defines and opens the
+ * landing page when AdParameters sets playerHandles to false.
+ * @param {string|undefined} url The landing page.
+ * @param {string|undefined} id An id for the click.
+ * @private
+ */
+VpaidVideoPlayer.prototype.clickThru_ = function(url, id) {
+  var playerHandles = this.parameters_.playerHandles !== false;
+  url = url || '';
+  id = id || '';
+  this.log('AdClickThru(' + url + ',' + id + ',' + playerHandles + ')');
+  this.callEvent_('AdClickThru', url, id, playerHandles);
+  if (!playerHandles && url) {
+    window.open(url, '_blank');
+  }
+};
+
+
+/**
+ * Called when the overlay is clicked.  The video is paused while the landing
+ * page is open and resumes when the page regains focus.
+ * @private
+ */
+VpaidVideoPlayer.prototype.overlayOnClick_ = function() {
+  this.clickThru_(
+      this.getSpotParameter_('clickThroughUrl'),
+      this.getSpotParameter_('clickThroughId'));
+  if (this.videoSlot_.paused || this.focusListener_) {
+    return;
+  }
+  this.pauseAd();
+  this.focusListener_ = this.windowFocusHandler_.bind(this);
+  window.addEventListener('focus', this.focusListener_, false);
+};
+
+
+/**
+ * Called when the page regains focus after a click through.
+ * @private
+ */
+VpaidVideoPlayer.prototype.windowFocusHandler_ = function() {
+  this.removeFocusListener_();
+  this.resumeAd();
+};
+
+
+/**
+ * @private
+ */
+VpaidVideoPlayer.prototype.removeFocusListener_ = function() {
+  if (this.focusListener_) {
+    window.removeEventListener('focus', this.focusListener_, false);
+    this.focusListener_ = null;
+  }
+};
+
+
+/**
+ * Called by the video element.  Calls events as the video reaches times.
+ * @private
+ */
+VpaidVideoPlayer.prototype.timeUpdateHandler_ = function() {
+  if (this.switchingRendition_) {
+    // The position is reset while a new rendition loads.
+    return;
+  }
+  this.updateRemainingTime_();
+  this.updateSkippableState_();
+  this.updateIcons_(this.videoSlot_.currentTime);
+  this.updateHotspots_(this.videoSlot_.currentTime);
+  if (!this.videoSlot_.seeking) {
+    this.watchedTime_ =
+        Math.max(this.watchedTime_, this.videoSlot_.currentTime);
+  }
+  var percentPlayed =
+      this.videoSlot_.currentTime * 100.0 / this.videoSlot_.duration;
+  this.reportQuartiles_(percentPlayed);
+};
+
+
+/**
+ * Reports every quartile of the playing spot up to percentPlayed that has not
+ * been reported yet, in order, so that a seek or a coarse timeupdate does not
+ * lose any.
+ * @param {number} percentPlayed How much of the spot has played, 0 to 100.
+ * @private
+ */
+VpaidVideoPlayer.prototype.reportQuartiles_ = function(percentPlayed) {
+  if (this.replaying_) {
+    return;
+  }
+  while (this.lastQuartileIndex_ < this.quartileEvents_.length &&
+      percentPlayed >= this.quartileEvents_[this.lastQuartileIndex_].value) {
+    var quartileEvent = this.quartileEvents_[this.lastQuartileIndex_].event;
+    this.lastQuartileIndex_ += 1;
+    this.callEvent_(quartileEvent);
+  }
+};
+
+
+/**
+ * @return {boolean} True if AdParameters sets blockSeeking and the video has
+ *     moved ahead of what the user watched.
+ * @private
+ */
+VpaidVideoPlayer.prototype.isSeekBlocked_ = function() {
+  return !!this.parameters_.blockSeeking && !this.replaying_ &&
+      !this.switchingRendition_ &&
+      this.videoSlot_.currentTime >
+          this.watchedTime_ + VpaidVideoPlayer.SEEK_TOLERANCE;
+};
+
+
+/**
+ * Called by the video element when it seeks.  Forward seeks are undone when
+ * AdParameters sets blockSeeking.
+ * @private
+ */
+VpaidVideoPlayer.prototype.seekingHandler_ = function() {
+  if (!this.isSeekBlocked_()) {
+    return;
+  }
+  this.callEvent_('AdLog', 'Seeking forward is not allowed');
+  this.videoSlot_.currentTime = this.watchedTime_;
+};
+
+
+/**
+ * Called by the video element when the duration becomes known or changes.
+ * @private
+ */
+VpaidVideoPlayer.prototype.durationChangeHandler_ = function() {
+  var duration = this.videoSlot_.duration;
+  if (!isFinite(duration) || duration <= 0) {
+    // NaN until metadata loads, Infinity for streams.
+    return;
+  }
+  this.spotDurations_[this.spotIndex_] = duration;
+  var podDuration = this.getPodDuration_();
+  if (podDuration != this.attributes_['duration']) {
+    this.attributes_['duration'] = podDuration;
+    this.callEvent_('AdDurationChange');
+  }
+  this.updateRemainingTime_();
+};
+
+
+/**
+ * @return {number} The duration of all spots and the end card together,
+ *     UNKNOWN_TIME while the duration of the playing spot is unknown.  Later
+ *     spots without a known duration are left out until their video loads.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getPodDuration_ = function() {
+  if (this.getSpotDuration_() == VpaidVideoPlayer.UNKNOWN_TIME) {
+    return VpaidVideoPlayer.UNKNOWN_TIME;
+  }
+  return this.getSpotsDuration_(this.spots_.length) +
+      this.getEndCardDuration_();
+};
+
+
+/**
+ * @param {number} count
+ * @return {number} The known duration of the first count spots.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getSpotsDuration_ = function(count) {
+  var duration = 0;
+  for (var i = 0; i < count; i++) {
+    duration += Math.max(0, this.spotDurations_[i]);
+  }
+  return duration;
+};
+
+
+/**
+ * @return {number} The duration of the playing spot, UNKNOWN_TIME while
+ *     unknown.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getSpotDuration_ = function() {
+  return this.spotDurations_[this.spotIndex_];
+};
+
+
+/**
+ * @return {number} The time played in the pod, in seconds.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getPodCurrentTime_ = function() {
+  if (this.endCard_) {
+    // The end card does not count down while the ad is paused.
+    var now = this.endCardPausedAt_ || new Date().getTime();
+    return this.getSpotsDuration_(this.spots_.length) +
+        (now - this.endCardShownAt_) / 1000.0;
+  }
+  return this.getSpotsDuration_(this.spotIndex_) + this.videoSlot_.currentTime;
+};
+
+
+/**
+ * @param {string} name
+ * @return {*} The AdParameters value for the playing spot, falling back to
+ *     the top level of AdParameters.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getSpotParameter_ = function(name) {
+  var spot = this.spots_[this.spotIndex_] || {};
+  return name in spot ? spot[name] : this.parameters_[name];
+};
+
+
+/**
+ * Called by the video element when a spot finishes.  Moves on to the next
+ * spot or, after the last one, shows the end card or stops the ad.
+ * @private
+ */
+VpaidVideoPlayer.prototype.endedHandler_ = function() {
+  // ended can come before the last timeupdate reaches 100%.
+  this.reportQuartiles_(100);
+  if (this.spotIndex_ + 1 < this.spots_.length) {
+    this.startNextSpot_();
+  } else if (this.parameters_.endCard) {
+    this.showEndCard_();
+  } else {
+    this.stopAd();
+  }
+};
+
+
+/**
+ * @return {number} How long the end card stays up in seconds, 0 without one.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getEndCardDuration_ = function() {
+  var endCard = this.parameters_.endCard;
+  if (!endCard) {
+    return 0;
+  }
+  return endCard.duration > 0 ?
+      endCard.duration : VpaidVideoPlayer.DEFAULT_END_CARD_DURATION;
+};
+
+
+/**
+ * Shows the end card described in AdParameters.  It has an image, a
+ * headline, a call to action with its ctaLabel and ctaUrl, a replay button
+ * and a duration.  The ad stays up until the end card times out or the user
+ * closes it.
+ * @private
+ */
+VpaidVideoPlayer.prototype.showEndCard_ = function() {
+  this.removeHotspots_();
+  var endCard = this.parameters_.endCard;
+  this.endCard_ = document.createElement('div');
+  var style = this.endCard_.style;
+  style.position = 'absolute';
+  style.left = '0';
+  style.top = '0';
+  style.width = '100%';
+  style.height = '100%';
+  style.textAlign = 'center';
+  style.background = '#000 center / cover no-repeat';
+  if (endCard.image) {
+    style.backgroundImage = 'url("' + encodeURI(endCard.image) + '")';
+  }
+
+  var headline = document.createElement('h2');
+  headline.textContent = endCard.headline || '';
+  headline.style.color = 'white';
+  this.endCard_.appendChild(headline);
+
+  this.endCard_.appendChild(this.createEndCardButton_(
+      endCard.ctaLabel || 'Learn more', this.endCardCtaOnClick_));
+  this.endCard_.appendChild(this.createEndCardButton_(
+      endCard.replayLabel || 'Replay', this.endCardReplayOnClick_));
+  var closeButton =
+      this.createEndCardButton_('\u00d7', this.endCardCloseOnClick_);
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.style.position = 'absolute';
+  closeButton.style.top = '10px';
+  closeButton.style.right = '10px';
+  this.endCard_.appendChild(closeButton);
+  this.slot_.appendChild(this.endCard_);
+
+  this.endCardShownAt_ = new Date().getTime();
+  this.endCardTimer_ = setInterval(this.endCardTick_.bind(this), 250);
+  this.updateRemainingTime_();
+};
+
+
+/**
+ * @param {string} label
+ * @param {function(this:VpaidVideoPlayer)} onClick
+ * @return {!Element}
+ * @private
+ */
+VpaidVideoPlayer.prototype.createEndCardButton_ = function(label, onClick) {
+  var button = document.createElement('button');
+  button.textContent = label;
+  button.style.margin = '10px';
+  button.addEventListener('click', onClick.bind(this), false);
+  return button;
+};
+
+
+/**
+ * Counts the end card down, stopping the ad once it times out.
+ * @private
+ */
+VpaidVideoPlayer.prototype.endCardTick_ = function() {
+  this.updateRemainingTime_();
+  if (this.attributes_['remainingTime'] <= 0) {
+    this.log('End card timed out');
+    this.stopAd();
+  }
+};
+
+
+/**
+ * Removes the end card and stops counting it down.
+ * @private
+ */
+VpaidVideoPlayer.prototype.hideEndCard_ = function() {
+  clearInterval(this.endCardTimer_);
+  this.endCardTimer_ = null;
+  this.endCardPausedAt_ = 0;
+  if (this.endCard_ && this.endCard_.parentNode) {
+    this.endCard_.parentNode.removeChild(this.endCard_);
+  }
+  this.endCard_ = null;
+};
+
+
+/**
+ * Called when the call to action on the end card is clicked.
+ * @private
+ */
+VpaidVideoPlayer.prototype.endCardCtaOnClick_ = function() {
+  var endCard = this.parameters_.endCard;
+  this.clickThru_(
+      endCard.ctaUrl || this.getSpotParameter_('clickThroughUrl'),
+      endCard.ctaId || 'endCard');
+};
+
+
+/**
+ * Called when replay on the end card is clicked.  Plays the ad again from the
+ * first spot.
+ * @private
+ */
+VpaidVideoPlayer.prototype.endCardReplayOnClick_ = function() {
+  this.callEvent_('AdInteraction', 'replay');
+  this.hideEndCard_();
+  this.replaying_ = true;
+  if (this.spotIndex_ == 0) {
+    this.videoSlot_.currentTime = 0;
+  } else {
+    this.spotIndex_ = 0;
+    if (!this.updateVideoSlot_()) {
+      return;
+    }
+  }
+  if (this.state_ == VpaidVideoPlayer.State.PAUSED) {
+    // Replay is a request to play, resumeAd plays the video.
+    this.resumeAd();
+    return;
+  }
+  this.playVideo_();
+};
+
+
+/**
+ * Called when the end card is closed.
+ * @private
+ */
+VpaidVideoPlayer.prototype.endCardCloseOnClick_ = function() {
+  this.callEvent_('AdUserClose');
+  this.stopAd();
+};
+
+
+/**
+ * Loads and plays the spot after the playing one.  Each spot reports its own
+ * quartiles and has its own skip offset.
+ * @private
+ */
+VpaidVideoPlayer.prototype.startNextSpot_ = function() {
+  this.callEvent_('AdLog', 'Spot ' + (this.spotIndex_ + 1) + ' of ' +
+      this.spots_.length + ' ended');
+  this.removeHotspots_();
+  this.spotIndex_ += 1;
+  this.lastQuartileIndex_ = 0;
+  this.watchedTime_ = 0;
+  if (this.attributes_['skippableState']) {
+    this.attributes_['skippableState'] = false;
+    if (this.skipButton_) {
+      this.skipButton_.disabled = true;
+    }
+    this.callEvent_('AdSkippableStateChange');
+  }
+  this.callEvent_('AdLog', 'Spot ' + (this.spotIndex_ + 1) + ' of ' +
+      this.spots_.length + ' starting');
+  if (!this.updateVideoSlot_()) {
+    return;
+  }
+  // A spot skipped while the ad is paused waits for resumeAd to play.
+  if (this.state_ == VpaidVideoPlayer.State.STARTED) {
+    this.startLoadTimer_();
+    this.playVideo_();
+  }
+};
+
+
+/**
+ * Recalculates the remaining time of the pod from the position of the video
+ * element.  Since the position does not move while the video is paused or
+ * stalled the remaining time holds still as well.  AdRemainingTimeChange is
+ * only reported when the remaining whole seconds change, timeupdate fires
+ * several times a second.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateRemainingTime_ = function() {
+  var duration = this.attributes_['duration'];
+  if (duration == VpaidVideoPlayer.UNKNOWN_TIME || this.switchingRendition_) {
+    return;
+  }
+  var remainingTime = Math.max(0, duration - this.getPodCurrentTime_());
+  this.attributes_['remainingTime'] = remainingTime;
+  this.updateProgress_();
+  var remainingSeconds = Math.ceil(remainingTime);
+  if (remainingSeconds != this.lastReportedRemainingTime_) {
+    this.lastReportedRemainingTime_ = remainingSeconds;
+    this.callEvent_('AdRemainingTimeChange');
+  }
+};
+
+
+/**
+ * Returns the point at which the playing spot may be skipped.  The skipOffset
+ * in AdParameters is either a number of seconds or a percentage of the
+ * duration like '25%'.
+ * @return {number} The skip offset in seconds, -1 if the spot is not
+ *     skippable or the offset is not known yet.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getSkipOffset_ = function() {
+  var skipOffset = this.getSpotParameter_('skipOffset');
+  if (skipOffset == null) {
+    return -1;
+  }
+  var value = parseFloat(skipOffset);
+  if (isNaN(value) || value < 0) {
+    this.log('Warning: Invalid skipOffset ' + skipOffset);
+    return -1;
+  }
+  if (String(skipOffset).slice(-1) == '%') {
+    var duration = this.getSpotDuration_();
+    return duration == VpaidVideoPlayer.UNKNOWN_TIME ?
+        -1 : duration * value / 100.0;
+  }
+  return value;
+};
+
+
+/**
+ * Makes the ad skippable once playback reaches the skip offset and keeps the
+ * countdown on the skip button current.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateSkippableState_ = function() {
+  if (this.attributes_['skippableState']) {
+    return;
+  }
+  var skipOffset = this.getSkipOffset_();
+  if (this.skipButton_) {
+    // Spots without a skip offset in a pod hide the button.
+    this.skipButton_.style.display = skipOffset < 0 ? 'none' : '';
+  }
+  if (skipOffset < 0) {
+    return;
+  }
+  var timeToSkip = skipOffset - this.videoSlot_.currentTime;
+  if (timeToSkip > 0) {
+    if (this.skipButton_) {
+      this.skipButton_.textContent = 'Skip in ' + Math.ceil(timeToSkip);
+    }
+    return;
+  }
+  this.attributes_['skippableState'] = true;
+  if (this.skipButton_) {
+    this.skipButton_.textContent = 'Skip ad';
+    this.skipButton_.disabled = false;
+  }
+  this.callEvent_('AdSkippableStateChange');
+};
+
+
+/**
+ * Adds the skip button when AdParameters sets showSkipButton.  Players with
+ * their own skip UI leave it off and use getAdSkippableState.  The button is
+ * kept out of the control bar so that it does not hide with it.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createSkipButton_ = function() {
+  if (!this.parameters_.showSkipButton) {
+    return;
+  }
+  var skippable = this.spots_.some(function(spot) {
+    return spot.skipOffset != null;
+  });
+  if (!skippable && this.parameters_.skipOffset == null) {
+    return;
+  }
+  this.skipButton_ = document.createElement('button');
+  this.skipButton_.disabled = !this.attributes_['skippableState'];
+  var style = this.skipButton_.style;
+  style.position = 'absolute';
+  style.right = '10px';
+  style.padding = '0.3em 0.6em';
+  style.color = this.theme_.color;
+  style.background = this.theme_.background;
+  style.border = 'none';
+  style.cursor = 'pointer';
+  this.skipButton_.addEventListener(
+      'click',
+      this.skipAd.bind(this),
+      false);
+  this.slot_.appendChild(this.skipButton_);
+  this.layoutControlBar_();
+  this.updateSkippableState_();
+};
+
+
+/**
+ * Points the video slot at the best playable video.
+ * @return {boolean} False if none of the videos can be played.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateVideoSlot_ = function() {
+  if (this.videoSlot_ == null) {
+    this.videoSlot_ = document.createElement('video');
+    this.log('Warning: No video element passed to ad, creating element.');
+    this.slot_.appendChild(this.videoSlot_);
+    this.createdVideoSlot_ = true;
+  }
+  if (!('src' in this.videoSlotAttributes_)) {
+    var names = ['src', 'width', 'height', 'preload'];
+    for (var i = 0; i < names.length; i++) {
+      this.videoSlotAttributes_[names[i]] =
+          this.videoSlot_.getAttribute(names[i]);
+    }
+  }
+  this.updateVideoPlayerSize_();
+  var video = this.selectVideo_();
+  if (video == null) {
+    // Unable to find a source video.
+    this.reportError_(
+        VpaidVideoPlayer.ErrorCode.UNSUPPORTED_MEDIA,
+        'No video with a supported mimetype',
+        true);
+    return false;
+  }
+  this.currentVideo_ = video;
+  this.log('Selected video ' + video.url);
+  // Buffer before startAd so that AdLoaded means the video can play.
+  this.videoSlot_.setAttribute('preload', 'auto');
+  this.videoSlot_.setAttribute('src', video.url);
+  this.attachCaptions_();
+  return true;
+};
+
+
+/**
+ * Chooses the rendition that best matches the desired bitrate and the size of
+ * the slot from the videos with a supported mimetype.
+ * @return {Object} The chosen entry of parameters_.videos, null if none of
+ *     them can be played.
+ * @private
+ */
+VpaidVideoPlayer.prototype.selectVideo_ = function() {
+  var videos = this.getSpotParameter_('videos') || [];
+  var bestVideo = null;
+  var bestScore = Infinity;
+  for (var i = 0; i < videos.length; i++) {
+    if (this.videoSlot_.canPlayType(videos[i].mimetype) == '' ||
+        this.failedVideos_.indexOf(videos[i]) != -1) {
+      continue;
+    }
+    var score = this.bitrateScore_(videos[i]) + this.sizeScore_(videos[i]);
+    // On a tie the first video listed wins.
+    if (score < bestScore) {
+      bestVideo = videos[i];
+      bestScore = score;
+    }
+  }
+  return bestVideo;
+};
+
+
+/**
+ * Scores how far a video is from the desired bitrate, lower is better.
+ * Videos above the desired bitrate are only chosen when nothing else plays.
+ * @param {!Object} video An entry of parameters_.videos.
+ * @return {number}
+ * @private
+ */
+VpaidVideoPlayer.prototype.bitrateScore_ = function(video) {
+  var desiredBitrate = this.attributes_['desiredBitrate'];
+  if (!video.bitrate || !(desiredBitrate > 0)) {
+    return 0.5;
+  }
+  if (video.bitrate > desiredBitrate) {
+    return 10 + (video.bitrate - desiredBitrate) / desiredBitrate;
+  }
+  return (desiredBitrate - video.bitrate) / desiredBitrate;
+};
+
+
+/**
+ * Scores how far a video is from the size of the slot, lower is better.
+ * Upscaling a small video looks worse than downscaling a large one, so it
+ * costs twice as much.
+ * @param {!Object} video An entry of parameters_.videos.
+ * @return {number}
+ * @private
+ */
+VpaidVideoPlayer.prototype.sizeScore_ = function(video) {
+  var slotArea = this.attributes_['width'] * this.attributes_['height'];
+  if (!video.width || !video.height || !(slotArea > 0)) {
+    return 0.5;
+  }
+  var ratio = video.width * video.height / slotArea;
+  if (ratio < 1) {
+    return 1 - ratio;
+  }
+  return Math.min(1, (ratio - 1) / 2);
+};
+
+
+/**
+ * Loads a better rendition for the current size of the slot if there is one.
+ * The new rendition continues from where the previous one was.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateRendition_ = function() {
+  var video = this.selectVideo_();
+  if (video == null || video == this.currentVideo_) {
+    return;
+  }
+  this.log('Switching rendition to ' + video.url);
+  var videoSlot = this.videoSlot_;
+  var currentTime = videoSlot.currentTime;
+  var paused = videoSlot.paused;
+  var onMetadata = function() {
+    this.unlisten_(videoSlot, 'loadedmetadata', onMetadata);
+    videoSlot.currentTime = currentTime;
+    this.switchingRendition_ = false;
+    if (!paused) {
+      this.playVideo_();
+    }
+  }.bind(this);
+  this.switchingRendition_ = true;
+  this.currentVideo_ = video;
+  this.listen_(videoSlot, 'loadedmetadata', onMetadata);
+  videoSlot.setAttribute('src', video.url);
+  this.attachCaptions_();
+};
+
+
+/**
+ * Helper function to update the size of the video player.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateVideoPlayerSize_ = function() {
+  this.videoSlot_.setAttribute('width', this.attributes_['width']);
+  this.videoSlot_.setAttribute('height', this.attributes_['height']);
+};
+
+
+/**
+ * Returns the versions of vpaid ad supported.
+ * @param {string} version
+ * @return {string}
+ */
+VpaidVideoPlayer.prototype.handshakeVersion = function(version) {
+  return ('2.0');
+};
+
+
+/**
+ * Called by the wrapper to start the ad.
+ */
+VpaidVideoPlayer.prototype.startAd = function() {
+  this.log('Starting ad');
+  if (!this.checkState_('startAd', [VpaidVideoPlayer.State.LOADED])) {
+    return;
+  }
+  this.state_ = VpaidVideoPlayer.State.STARTED;
+  this.createOverlay_();
+  this.createControlBar_();
+  this.createSkipButton_();
+  this.renderCompanions_();
+  this.startViewability_(this.videoSlot_);
+
+  // AdStarted is reported once the video is playing.
+  this.startLoadTimer_();
+  this.playVideo_();
+};
+
+
+/**
+ * Called by the wrapper to stop the ad.  Everything the ad added to the page
+ * is removed and the video slot is handed back as it was before initAd.
+ */
+VpaidVideoPlayer.prototype.stopAd = function() {
+  this.log('Stopping ad');
+  if (this.state_ == VpaidVideoPlayer.State.STOPPED) {
+    this.checkState_('stopAd', []);
+    return;
+  }
+  this.state_ = VpaidVideoPlayer.State.STOPPED;
+  this.stopViewability_();
+  this.clearReadyTimer_();
+  this.clearLoadTimer_();
+  this.clearStallTimer_();
+  this.removeFocusListener_();
+  if (this.attributes_['expanded']) {
+    this.collapseAd();
+  }
+  this.removeListeners_();
+  this.hidePlaybackPrompt_();
+  this.removeCompanions_();
+  this.removeIcons_();
+  this.removeHotspots_();
+  this.removeCaptions_();
+  this.hideEndCard_();
+  this.removeElement_(this.overlay_);
+  this.overlay_ = null;
+  this.removeControlBar_();
+  this.removeElement_(this.skipButton_);
+  this.skipButton_ = null;
+  if (this.videoSlot_) {
+    this.videoSlot_.pause();
+    this.restoreVideoSlot_();
+  }
+  // Calling AdStopped immediately terminates the ad. Setting a timeout allows
+  // events to go through.
+  var callback = this.callEvent_.bind(this);
+  setTimeout(callback, 75, 'AdStopped');
+};
+
+
+/**
+ * Hands the video slot back to the player with the attributes, muted state
+ * and volume it had before initAd, or removes it if the ad created it.
+ * @private
+ */
+VpaidVideoPlayer.prototype.restoreVideoSlot_ = function() {
+  if (this.createdVideoSlot_) {
+    this.removeElement_(this.videoSlot_);
+    return;
+  }
+  for (var name in this.videoSlotAttributes_) {
+    var value = this.videoSlotAttributes_[name];
+    if (value == null) {
+      this.videoSlot_.removeAttribute(name);
+    } else {
+      this.videoSlot_.setAttribute(name, value);
+    }
+  }
+  if (this.videoSlotVolume_) {
+    this.videoSlot_.muted = this.videoSlotVolume_.muted;
+    this.videoSlot_.volume = this.videoSlotVolume_.volume;
+  }
+  if (this.videoSlotAttributes_['src'] == null && this.videoSlot_.load) {
+    // Drops the ad video so it stops buffering.
+    this.videoSlot_.load();
+  }
+};
+
+
+/**
+ * @param {number} value The volume between 0 and 1, 0 mutes the ad.
+ */
+VpaidVideoPlayer.prototype.setAdVolume = function(value) {
+  this.log('setAdVolume ' + value);
+  value = Math.min(1, Math.max(0, Number(value) || 0));
+  if (value > 0) {
+    this.unmutedVolume_ = value;
+  }
+  if (this.videoSlot_) {
+    // The volume is left alone when muting so that unmuting from the player's
+    // own controls goes back to the same level.
+    this.videoSlot_.muted = value == 0;
+    if (value > 0) {
+      this.videoSlot_.volume = value;
+    }
+  }
+  this.updateVolume_(value);
+};
+
+
+/**
+ * Stores a new volume, reporting AdVolumeChange if it is different from the
+ * previous one.
+ * @param {number} value The volume between 0 and 1.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateVolume_ = function(value) {
+  var previousValue = this.attributes_['volume'];
+  if (value == previousValue) {
+    return;
+  }
+  this.attributes_['volume'] = value;
+  if (value == 0) {
+    this.track_('mute');
+  } else if (previousValue == 0) {
+    this.track_('unmute');
+  }
+  if (value > 0 && this.mutedForAutoplay_) {
+    this.mutedForAutoplay_ = false;
+    if (!this.waitingForGesture_) {
+      this.hidePlaybackPrompt_();
+    }
+  }
+  this.updateMuteButton_();
+  this.callEvent_('AdVolumeChange');
+};
+
+
+/**
+ * @return {number} The audible volume of the video element, 0 when muted.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getVideoSlotVolume_ = function() {
+  return this.videoSlot_.muted ? 0 : this.videoSlot_.volume;
+};
+
+
+/**
+ * Called by the video element when its volume or muted state changes,
+ * including changes made outside the ad.
+ * @private
+ */
+VpaidVideoPlayer.prototype.volumeChangeHandler_ = function() {
+  var volume = this.getVideoSlotVolume_();
+  if (volume > 0) {
+    this.unmutedVolume_ = volume;
+  }
+  this.updateVolume_(volume);
+};
+
+
+/**
+ * @return {number} The volume of the ad.
+ */
+VpaidVideoPlayer.prototype.getAdVolume = function() {
+  this.log('getAdVolume');
+  return this.attributes_['volume'];
+};
+
+
+/**
+ * @param {number} width The new width.
+ * @param {number} height A new height.
+ * @param {string} viewMode A new view mode.
+ */
+VpaidVideoPlayer.prototype.resizeAd = function(width, height, viewMode) {
+  this.log('resizeAd ' + width + 'x' + height + ' ' + viewMode);
+  if (!this.checkState_('resizeAd', [
+    VpaidVideoPlayer.State.LOADING,
+    VpaidVideoPlayer.State.LOADED,
+    VpaidVideoPlayer.State.STARTED,
+    VpaidVideoPlayer.State.PAUSED
+  ])) {
+    return;
+  }
+  var wasFullscreen = this.attributes_['viewMode'] == 'fullscreen';
+  this.attributes_['width'] = width;
+  this.attributes_['height'] = height;
+  this.attributes_['viewMode'] = viewMode;
+  this.updateVideoPlayerSize_();
+  this.layoutControlBar_();
+  if (wasFullscreen != (viewMode == 'fullscreen')) {
+    this.updateRendition_();
+  }
+  this.callEvent_('AdSizeChange');
+};
+
+
+/**
+ * Pauses the ad.
+ */
+VpaidVideoPlayer.prototype.pauseAd = function() {
+  this.log('pauseAd');
+  if (!this.checkState_('pauseAd', [VpaidVideoPlayer.State.STARTED])) {
+    return;
+  }
+  this.state_ = VpaidVideoPlayer.State.PAUSED;
+  if (this.endCard_) {
+    this.endCardPausedAt_ = new Date().getTime();
+  }
+  if (this.viewability_) {
+    this.viewability_.setActive(false);
+  }
+  this.videoSlot_.pause();
+  this.updatePlayButton_();
+  this.showControlBar_();
+  this.callEvent_('AdPaused');
+};
+
+
+/**
+ * Resumes the ad.
+ */
+VpaidVideoPlayer.prototype.resumeAd = function() {
+  this.log('resumeAd');
+  this.removeFocusListener_();
+  if (!this.checkState_('resumeAd', [VpaidVideoPlayer.State.PAUSED])) {
+    return;
+  }
+  this.state_ = VpaidVideoPlayer.State.STARTED;
+  this.pausedWhenHidden_ = false;
+  if (this.viewability_) {
+    this.viewability_.setActive(true);
+  }
+  if (this.endCard_) {
+    // The end card counts down again from where it was paused, the video
+    // behind it has ended and stays so.
+    this.endCardShownAt_ += new Date().getTime() - this.endCardPausedAt_;
+    this.endCardPausedAt_ = 0;
+  } else {
+    this.playVideo_();
+  }
+  this.updatePlayButton_();
+  this.showControlBar_();
+  this.callEvent_('AdResumed');
+};
+
+
+/**
+ * Expands the ad.  The slot and the video slot are shown fullscreen when the
+ * browser allows it, otherwise they are grown to fill the window.
+ */
+VpaidVideoPlayer.prototype.expandAd = function() {
+  this.log('expandAd');
+  if (!this.checkState_('expandAd', [
+    VpaidVideoPlayer.State.STARTED,
+    VpaidVideoPlayer.State.PAUSED
+  ])) {
+    return;
+  }
+  if (this.attributes_['expanded']) {
+    return;
+  }
+  this.expandedElement_ = this.getExpandableElement_();
+  var element = this.expandedElement_;
+  var requestFullscreen =
+      element.requestFullscreen || element.webkitRequestFullscreen;
+  if (!requestFullscreen) {
+    this.growCreative_();
+    return;
+  }
+  var onDenied = function(error) {
+    this.callEvent_('AdLog', 'Fullscreen request denied' +
+        (error && error.message ? ': ' + error.message : ''));
+    this.growCreative_();
+  }.bind(this);
+  try {
+    var request = requestFullscreen.call(element);
+    if (request && request.then) {
+      request.then(null, onDenied);
+    }
+  } catch (e) {
+    onDenied(e);
+  }
+  // The ad is marked expanded once fullscreenchange fires.
+};
+
+
+/**
+ * Returns the element to expand, the closest element holding both the slot
+ * and the video slot so that the ad UI stays on top of the video.
+ * @return {!Element}
+ * @private
+ */
+VpaidVideoPlayer.prototype.getExpandableElement_ = function() {
+  var element = this.slot_;
+  while (element.parentNode && element.parentNode.nodeType == 1 &&
+      !element.contains(this.videoSlot_)) {
+    element = element.parentNode;
+  }
+  return element.contains(this.videoSlot_) ? element : this.slot_;
+};
+
+
+/**
+ * @return {Element} The element currently shown fullscreen, if any.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getFullscreenElement_ = function() {
+  return document.fullscreenElement || document.webkitFullscreenElement ||
+      null;
+};
+
+
+/**
+ * Called by the document when it enters or leaves fullscreen, including when
+ * the user leaves fullscreen with Esc.
+ * @private
+ */
+VpaidVideoPlayer.prototype.fullscreenChangeHandler_ = function() {
+  var fullscreenElement = this.getFullscreenElement_();
+  if (this.expandedElement_ && fullscreenElement == this.expandedElement_) {
+    this.applyExpandedStyles_(false);
+    this.setExpanded_(true);
+  } else if (this.attributes_['expanded'] && !this.isGrown_()) {
+    this.restoreCollapsedStyles_();
+    this.expandedElement_ = null;
+    this.setExpanded_(false);
+  }
+};
+
+
+/**
+ * Grows the expandable element to fill the window, used where fullscreen is
+ * not available.
+ * @private
+ */
+VpaidVideoPlayer.prototype.growCreative_ = function() {
+  this.applyExpandedStyles_(true);
+  this.setExpanded_(true);
+};
+
+
+/**
+ * @return {boolean} True if the ad is expanded by filling the window rather
+ *     than by fullscreen.
+ * @private
+ */
+VpaidVideoPlayer.prototype.isGrown_ = function() {
+  return 'element' in this.collapsedStyles_ &&
+      this.getFullscreenElement_() != this.expandedElement_;
+};
+
+
+/**
+ * Sizes the video to fill the expanded element.
+ * @param {boolean} fillWindow True to also make the expanded element cover
+ *     the window.
+ * @private
+ */
+VpaidVideoPlayer.prototype.applyExpandedStyles_ = function(fillWindow) {
+  if (!('video' in this.collapsedStyles_)) {
+    this.collapsedStyles_['video'] = this.videoSlot_.style.cssText;
+  }
+  this.videoSlot_.style.width = '100%';
+  this.videoSlot_.style.height = '100%';
+  if (fillWindow) {
+    var style = this.expandedElement_.style;
+    this.collapsedStyles_['element'] = style.cssText;
+    style.position = 'fixed';
+    style.left = '0';
+    style.top = '0';
+    style.width = '100%';
+    style.height = '100%';
+    style.zIndex = '2147483647';
+  }
+};
+
+
+/**
+ * Puts back the inline styles from before the ad was expanded.
+ * @private
+ */
+VpaidVideoPlayer.prototype.restoreCollapsedStyles_ = function() {
+  if ('video' in this.collapsedStyles_) {
+    this.videoSlot_.style.cssText = this.collapsedStyles_['video'];
+  }
+  if ('element' in this.collapsedStyles_ && this.expandedElement_) {
+    this.expandedElement_.style.cssText = this.collapsedStyles_['element'];
+  }
+  this.collapsedStyles_ = {};
+};
+
+
+/**
+ * Updates the expanded state, reporting AdExpandedChange when it changes.
+ * @param {boolean} expanded
+ * @private
+ */
+VpaidVideoPlayer.prototype.setExpanded_ = function(expanded) {
+  if (this.attributes_['expanded'] == expanded) {
+    return;
+  }
+  this.attributes_['expanded'] = expanded;
+  this.updateFullscreenButton_();
+  this.callEvent_('AdExpandedChange');
+};
+
+
+/**
+ * Returns true if the ad is expanded.
+ * @return {boolean}
+ */
+VpaidVideoPlayer.prototype.getAdExpanded = function() {
+  this.log('getAdExpanded');
+  return this.attributes_['expanded'];
+};
+
+
+/**
+ * Returns the skippable state of the ad.
+ * @return {boolean}
+ */
+VpaidVideoPlayer.prototype.getAdSkippableState = function() {
+  this.log('getAdSkippableState');
+  return this.attributes_['skippableState'];
+};
+
+
+/**
+ * Collapses the ad.
+ */
+VpaidVideoPlayer.prototype.collapseAd = function() {
+  this.log('collapseAd');
+  if (!this.attributes_['expanded']) {
+    return;
+  }
+  if (this.getFullscreenElement_() == this.expandedElement_) {
+    var exitFullscreen =
+        document.exitFullscreen || document.webkitExitFullscreen;
+    try {
+      var exit = exitFullscreen.call(document);
+      if (exit && exit.then) {
+        exit.then(null, function() {});
+      }
+    } catch (e) {
+      this.callEvent_('AdLog', 'Unable to leave fullscreen: ' + e.message);
+    }
+  }
+  // Leaving fullscreen is also reported by fullscreenchange, which does
+  // nothing once the ad is collapsed here.
+  this.restoreCollapsedStyles_();
+  this.expandedElement_ = null;
+  this.setExpanded_(false);
+};
+
+
+/**
+ * Skips the playing spot.  Skipping the last spot skips the ad.
+ */
+VpaidVideoPlayer.prototype.skipAd = function() {
+  this.log('skipAd');
+  if (!this.checkState_('skipAd', [
+    VpaidVideoPlayer.State.STARTED,
+    VpaidVideoPlayer.State.PAUSED
+  ])) {
+    return;
+  }
+  var skippableState = this.attributes_['skippableState'];
+  if (!skippableState) {
+    this.log('Error: Invalid ad skip request.');
+    return;
+  }
+  if (this.spotIndex_ + 1 < this.spots_.length) {
+    this.callEvent_('AdLog', 'Spot ' + (this.spotIndex_ + 1) + ' skipped');
+    this.startNextSpot_();
+    return;
+  }
+  this.videoSlot_.pause();
+  this.callEvent_('AdSkipped');
+  this.stopAd();
+};
+
+
+/**
+ * Registers a callback for an event.
+ * @param {Function} aCallback The callback function.
+ * @param {string} eventName The callback type.
+ * @param {Object} aContext The context for the callback.
+ */
+VpaidVideoPlayer.prototype.subscribe = function(
+    aCallback,
+    eventName,
+    aContext) {
+  this.log('subscribe ' + eventName);
+  if (typeof aCallback != 'function') {
+    return;
+  }
+  var listeners = this.eventsCallbacks_[eventName] || [];
+  for (var i = 0; i < listeners.length; i++) {
+    if (listeners[i].callback == aCallback &&
+        listeners[i].context == aContext) {
+      return;
+    }
+  }
+  listeners.push({callback: aCallback, context: aContext || null});
+  this.eventsCallbacks_[eventName] = listeners;
+};
+
+
+/**
+ * Removes a callback registered for the event.  Calls with only an event name,
+ * as older players make them, remove every callback of that event.
+ *
+ * @param {Function|string} aCallback The callback function.
+ * @param {string=} eventName The callback type.
+ */
+VpaidVideoPlayer.prototype.unsubscribe = function(aCallback, eventName) {
+  if (typeof aCallback == 'string') {
+    this.log('unsubscribe ' + aCallback);
+    delete this.eventsCallbacks_[aCallback];
+    return;
+  }
+  this.log('unsubscribe ' + eventName);
+  var listeners = this.eventsCallbacks_[eventName];
+  if (!listeners) {
+    return;
+  }
+  this.eventsCallbacks_[eventName] = listeners.filter(function(listener) {
+    return listener.callback != aCallback;
+  });
+};
+
+
+/**
+ * @return {number} The ad width.
+ */
+VpaidVideoPlayer.prototype.getAdWidth = function() {
+  return this.attributes_['width'];
+};
+
+
+/**
+ * @return {number} The ad height.
+ */
+VpaidVideoPlayer.prototype.getAdHeight = function() {
+  return this.attributes_['height'];
+};
+
+
+/**
+ * @return {number} The time remaining in the ad, -2 (unknown) until the
+ *     video metadata has loaded.
+ */
+VpaidVideoPlayer.prototype.getAdRemainingTime = function() {
+  return this.attributes_['remainingTime'];
+};
+
+
+/**
+ * @return {number} The duration of the ad, -2 (unknown) until the video
+ *     metadata has loaded.
+ */
+VpaidVideoPlayer.prototype.getAdDuration = function() {
+  return this.attributes_['duration'];
+};
+
+
+/**
+ * @return {string} List of companions in vast xml.
+ */
+VpaidVideoPlayer.prototype.getAdCompanions = function() {
+  return this.attributes_['companions'];
+};
+
+/**
+ * Builds the VAST CompanionAds for the companions described in AdParameters.
+ * Each companion has a width, height and a resourceType of 'static', 'html'
+ * or 'iframe' with its resource, and may have an id, a creativeType for
+ * static images, altText and a clickThroughUrl.
+ * @return {string} The CompanionAds xml, empty if there are no companions.
+ * @private
+ */
+VpaidVideoPlayer.prototype.buildCompanionsXml_ = function() {
+  var companions = this.parameters_.companions || [];
+  if (companions.length == 0) {
+    return '';
+  }
+  var xml = '<CompanionAds>';
+  for (var i = 0; i < companions.length; i++) {
+    var companion = companions[i];
+    xml += '<Companion' +
+        this.xmlAttribute_('id', companion.id) +
+        this.xmlAttribute_('width', companion.width) +
+        this.xmlAttribute_('height', companion.height) + '>';
+    if (companion.resourceType == 'html') {
+      xml += '<HTMLResource>' + this.cdata_(companion.resource) +
+          '</HTMLResource>';
+    } else if (companion.resourceType == 'iframe') {
+      xml += '<IFrameResource>' + this.cdata_(companion.resource) +
+          '</IFrameResource>';
+    } else {
+      xml += '<StaticResource' +
+          this.xmlAttribute_('creativeType', companion.creativeType) + '>' +
+          this.cdata_(companion.resource) + '</StaticResource>';
+    }
+    if (companion.clickThroughUrl) {
+      xml += '<CompanionClickThrough>' +
+          this.cdata_(companion.clickThroughUrl) +
+          '</CompanionClickThrough>';
+    }
+    if (companion.altText) {
+      xml += '<AltText>' + this.cdata_(companion.altText) + '</AltText>';
+    }
+    xml += '</Companion>';
+  }
+  return xml + '</CompanionAds>';
+};
+
+
+/**
+ * @param {string} name
+ * @param {*} value
+ * @return {string} The xml attribute, empty if the value is not set.
+ * @private
+ */
+VpaidVideoPlayer.prototype.xmlAttribute_ = function(name, value) {
+  if (value == null || value === '') {
+    return '';
+  }
+  var escaped = String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  return ' ' + name + '="' + escaped + '"';
+};
+
+
+/**
+ * @param {*} text
+ * @return {string} The text wrapped in a CDATA section.
+ * @private
+ */
+VpaidVideoPlayer.prototype.cdata_ = function(text) {
+  // A CDATA section can not contain ']]>', so split it across two sections.
+  return '<![CDATA[' + String(text || '').replace(/]]>/g, ']]]]><![CDATA[>') +
+      ']]>';
+};
+
+
+/**
+ * Draws the companions into the containers named in environmentVars when
+ * AdParameters sets renderCompanions.  A companion's container is the key of
+ * its element in environmentVars.
+ * @private
+ */
+VpaidVideoPlayer.prototype.renderCompanions_ = function() {
+  if (!this.parameters_.renderCompanions) {
+    return;
+  }
+  var companions = this.parameters_.companions || [];
+  for (var i = 0; i < companions.length; i++) {
+    var companion = companions[i];
+    var container = this.environmentVars_[companion.container];
+    if (!container || !container.appendChild) {
+      this.log('Warning: No container for companion ' +
+          (companion.id || i));
+      continue;
+    }
+    var element = this.createCompanionElement_(companion);
+    container.appendChild(element);
+    this.companionElements_.push(element);
+  }
+};
+
+
+/**
+ * @param {!Object} companion A companion from AdParameters.
+ * @return {!Element} The element showing the companion.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createCompanionElement_ = function(companion) {
+  var element;
+  if (companion.resourceType == 'html') {
+    element = document.createElement('div');
+    element.innerHTML = companion.resource || '';
+  } else if (companion.resourceType == 'iframe') {
+    element = document.createElement('iframe');
+    element.setAttribute('frameborder', '0');
+    element.setAttribute('scrolling', 'no');
+    element.src = companion.resource || '';
+  } else {
+    element = document.createElement('img');
+    element.alt = companion.altText || '';
+    element.src = companion.resource || '';
+  }
+  element.style.width = companion.width + 'px';
+  element.style.height = companion.height + 'px';
+  if (companion.clickThroughUrl && companion.resourceType != 'iframe') {
+    element.style.cursor = 'pointer';
+    element.addEventListener('click', function() {
+      this.log('Companion click ' + companion.clickThroughUrl);
+      window.open(companion.clickThroughUrl, '_blank');
+    }.bind(this), false);
+  }
+  return element;
+};
+
+
+/**
+ * Removes the companions drawn by the ad.
+ * @private
+ */
+VpaidVideoPlayer.prototype.removeCompanions_ = function() {
+  for (var i = 0; i < this.companionElements_.length; i++) {
+    var element = this.companionElements_[i];
+    if (element.parentNode) {
+      element.parentNode.removeChild(element);
+    }
+  }
+  this.companionElements_ = [];
+};
+
+
+/**
+ * @return {string} The icons in vast xml.
+ */
+VpaidVideoPlayer.prototype.getAdIcons = function() {
+  return this.attributes_['icons'];
+};
+
+/**
+ * Builds the VAST Icons for the icons described in AdParameters.  Each icon
+ * has a program, width, height, xPosition, yPosition, an image with its
+ * creativeType, and may have an offset and duration in seconds, a
+ * clickThroughUrl and clickTrackingUrls.
+ * @return {string} The Icons xml, empty if there are no icons.
+ * @private
+ */
+VpaidVideoPlayer.prototype.buildIconsXml_ = function() {
+  var icons = this.parameters_.icons || [];
+  if (icons.length == 0) {
+    return '';
+  }
+  var xml = '<Icons>';
+  for (var i = 0; i < icons.length; i++) {
+    var icon = icons[i];
+    xml += '<Icon' +
+        this.xmlAttribute_('program', icon.program) +
+        this.xmlAttribute_('width', icon.width) +
+        this.xmlAttribute_('height', icon.height) +
+        this.xmlAttribute_('xPosition', icon.xPosition) +
+        this.xmlAttribute_('yPosition', icon.yPosition) +
+        this.xmlAttribute_('offset', this.formatVastTime_(icon.offset)) +
+        this.xmlAttribute_('duration', this.formatVastTime_(icon.duration)) +
+        '>';
+    xml += '<StaticResource' +
+        this.xmlAttribute_('creativeType', icon.creativeType) + '>' +
+        this.cdata_(icon.image) + '</StaticResource>';
+    var clickTrackingUrls = [].concat(icon.clickTrackingUrls || []);
+    if (icon.clickThroughUrl || clickTrackingUrls.length > 0) {
+      xml += '<IconClicks>';
+      if (icon.clickThroughUrl) {
+        xml += '<IconClickThrough>' + this.cdata_(icon.clickThroughUrl) +
+            '</IconClickThrough>';
+      }
+      for (var j = 0; j < clickTrackingUrls.length; j++) {
+        xml += '<IconClickTracking>' + this.cdata_(clickTrackingUrls[j]) +
+            '</IconClickTracking>';
+      }
+      xml += '</IconClicks>';
+    }
+    xml += '</Icon>';
+  }
+  return xml + '</Icons>';
+};
+
+
+/**
+ * @param {number|undefined} seconds
+ * @return {string} The time as HH:MM:SS.mmm, empty if it is not set.
+ * @private
+ */
+VpaidVideoPlayer.prototype.formatVastTime_ = function(seconds) {
+  if (seconds == null || isNaN(seconds)) {
+    return '';
+  }
+  var milliseconds = Math.round(seconds * 1000);
+  var pad = function(value, length) {
+    return ('000' + value).slice(-length);
+  };
+  return pad(Math.floor(milliseconds / 3600000), 2) + ':' +
+      pad(Math.floor(milliseconds / 60000) % 60, 2) + ':' +
+      pad(Math.floor(milliseconds / 1000) % 60, 2) + '.' +
+      pad(milliseconds % 1000, 3);
+};
+
+
+/**
+ * Shows the icons the ad draws itself during their offset and duration and
+ * hides them outside of it.  The ad only draws icons when the player sets
+ * playerRendersIcons to false in environmentVars.
+ * @param {number} currentTime The ad time in seconds.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateIcons_ = function(currentTime) {
+  if (this.environmentVars_.playerRendersIcons !== false) {
+    return;
+  }
+  var icons = this.parameters_.icons || [];
+  for (var i = 0; i < icons.length; i++) {
+    var icon = icons[i];
+    var offset = icon.offset || 0;
+    var visible = currentTime >= offset &&
+        (icon.duration == null || currentTime < offset + icon.duration);
+    if (visible && !this.iconElements_[i]) {
+      this.iconElements_[i] = this.createIconElement_(icon);
+      this.slot_.appendChild(this.iconElements_[i]);
+    } else if (!visible && this.iconElements_[i]) {
+      this.removeIcon_(i);
+    }
+  }
+};
+
+
+/**
+ * @param {!Object} icon An icon from AdParameters.
+ * @return {!Element} The element showing the icon.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createIconElement_ = function(icon) {
+  var img = document.createElement('img');
+  img.src = icon.image || '';
+  img.alt = icon.program || '';
+  img.style.position = 'absolute';
+  img.style.width = icon.width + 'px';
+  img.style.height = icon.height + 'px';
+  img.style.cursor = 'pointer';
+  // Positions are either a side of the slot or pixels from the top left.
+  if (icon.xPosition == 'right') {
+    img.style.right = '0';
+  } else {
+    img.style.left = (parseInt(icon.xPosition, 10) || 0) + 'px';
+  }
+  if (icon.yPosition == 'bottom') {
+    img.style.bottom = '0';
+  } else {
+    img.style.top = (parseInt(icon.yPosition, 10) || 0) + 'px';
+  }
+  img.addEventListener('click', this.iconOnClick_.bind(this, icon), false);
+  return img;
+};
+
+
+/**
+ * Called when an icon drawn by the ad is clicked.
+ * @param {!Object} icon The icon from AdParameters.
+ * @private
+ */
+VpaidVideoPlayer.prototype.iconOnClick_ = function(icon) {
+  this.log('Icon click ' + icon.program);
+  var clickTrackingUrls = [].concat(icon.clickTrackingUrls || []);
+  for (var i = 0; i < clickTrackingUrls.length; i++) {
+    this.beaconSender_.send('iconClick', clickTrackingUrls[i]);
+  }
+  if (icon.clickThroughUrl) {
+    window.open(icon.clickThroughUrl, '_blank');
+  }
+};
+
+
+/**
+ * @param {number} index The index of the icon in AdParameters.
+ * @private
+ */
+VpaidVideoPlayer.prototype.removeIcon_ = function(index) {
+  var element = this.iconElements_[index];
+  if (element && element.parentNode) {
+    element.parentNode.removeChild(element);
+  }
+  delete this.iconElements_[index];
+};
+
+
+/**
+ * Removes all icons drawn by the ad.
+ * @private
+ */
+VpaidVideoPlayer.prototype.removeIcons_ = function() {
+  for (var index in this.iconElements_) {
+    this.removeIcon_(Number(index));
+  }
+};
+
+
+/**
+ * Shows the hotspots of the playing spot whose time window contains
+ * currentTime and removes the others.  Hotspots come from the hotspots list in
+ * AdParameters, each with an id, start and end in seconds, a region given by
+ * x, y, width and height as fractions of the ad size, a label or an image,
+ * and an action: 'clickThru' to clickThroughUrl, 'panel' to pause and show
+ * the panel's headline, text and image, or 'seek' to jump to seekTo seconds.
+ * @param {number} currentTime The position in the playing spot.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateHotspots_ = function(currentTime) {
+  var hotspots = this.getSpotParameter_('hotspots') || [];
+  for (var i = 0; i < hotspots.length; i++) {
+    var hotspot = hotspots[i];
+    var visible = currentTime >= (hotspot.start || 0) &&
+        (hotspot.end == null || currentTime < hotspot.end);
+    if (visible && !this.hotspotElements_[i]) {
+      this.hotspotElements_[i] = this.createHotspotElement_(hotspot, i);
+      this.layoutHotspot_(this.hotspotElements_[i], hotspot);
+      this.slot_.appendChild(this.hotspotElements_[i]);
+    } else if (!visible && this.hotspotElements_[i]) {
+      this.removeElement_(this.hotspotElements_[i]);
+      delete this.hotspotElements_[i];
+    }
+  }
+};
+
+
+/**
+ * @param {!Object} hotspot A hotspot from AdParameters.
+ * @param {number} index The index of the hotspot in the spot's hotspots.
+ * @return {!Element} The element showing the hotspot.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createHotspotElement_ = function(hotspot, index) {
+  var element = document.createElement('button');
+  var label = hotspot.label || '';
+  if (hotspot.image) {
+    var img = document.createElement('img');
+    img.src = hotspot.image;
+    img.alt = label;
+    img.style.width = '100%';
+    img.style.height = '100%';
+    element.appendChild(img);
+  } else {
+    element.textContent = label;
+  }
+  element.setAttribute('aria-label', label);
+  element.style.position = 'absolute';
+  element.style.padding = '0';
+  element.style.cursor = 'pointer';
+  element.style.border = hotspot.image ? 'none' : '2px solid white';
+  element.style.background = hotspot.image ? 'none' : 'rgba(0, 0, 0, 0.4)';
+  element.style.color = 'white';
+  element.addEventListener(
+      'click',
+      this.hotspotOnClick_.bind(this, hotspot, index),
+      false);
+  return element;
+};
+
+
+/**
+ * Places a hotspot element over its region of the ad.  The region is given as
+ * fractions of the ad, so the hotspot follows the slot however it is resized
+ * or expanded.
+ * @param {!Element} element
+ * @param {!Object} hotspot The hotspot from AdParameters.
+ * @private
+ */
+VpaidVideoPlayer.prototype.layoutHotspot_ = function(element, hotspot) {
+  var toPercent = function(fraction) {
+    return ((fraction || 0) * 100).toFixed(2) + '%';
+  };
+  element.style.left = toPercent(hotspot.x);
+  element.style.top = toPercent(hotspot.y);
+  element.style.width = toPercent(hotspot.width);
+  element.style.height = toPercent(hotspot.height);
+};
+
+
+/**
+ * Called when a hotspot is clicked.  Reports the interaction with the id of
+ * the hotspot and performs its action.
+ * @param {!Object} hotspot The hotspot from AdParameters.
+ * @param {number} index The index of the hotspot in the spot's hotspots.
+ * @private
+ */
+VpaidVideoPlayer.prototype.hotspotOnClick_ = function(hotspot, index) {
+  var id = hotspot.id || 'hotspot' + index;
+  this.log('Hotspot click ' + id);
+  this.callEvent_('AdInteraction', id);
+  switch (hotspot.action) {
+    case 'clickThru':
+      this.clickThru_(hotspot.clickThroughUrl, id);
+      break;
+    case 'panel':
+      this.showHotspotPanel_(hotspot.panel || {}, id);
+      break;
+    case 'seek':
+      var seekTo = parseFloat(hotspot.seekTo) || 0;
+      // A jump the creative asks for is not a seek by the user.
+      this.watchedTime_ = Math.max(this.watchedTime_, seekTo);
+      this.videoSlot_.currentTime = seekTo;
+      break;
+    default:
+      this.callEvent_('AdLog', 'Hotspot ' + id + ' has no action');
+  }
+};
+
+
+/**
+ * Pauses the ad and shows a hotspot's panel over the video.
+ * @param {!Object} panel The panel from AdParameters.
+ * @param {string} id The id of the hotspot that opened the panel.
+ * @private
+ */
+VpaidVideoPlayer.prototype.showHotspotPanel_ = function(panel, id) {
+  this.hideHotspotPanel_();
+  if (this.state_ == VpaidVideoPlayer.State.STARTED) {
+    this.pauseAd();
+    this.hotspotPanelPaused_ = true;
+  }
+  this.hotspotPanel_ = document.createElement('div');
+  var style = this.hotspotPanel_.style;
+  style.position = 'absolute';
+  style.right = '0';
+  style.top = '0';
+  style.width = '40%';
+  style.height = '100%';
+  style.padding = '10px';
+  style.boxSizing = 'border-box';
+  style.overflow = 'auto';
+  style.background = 'rgba(0, 0, 0, 0.8)';
+  style.color = 'white';
+  if (panel.image) {
+    var img = document.createElement('img');
+    img.src = panel.image;
+    img.alt = panel.headline || '';
+    img.style.maxWidth = '100%';
+    this.hotspotPanel_.appendChild(img);
+  }
+  var headline = document.createElement('h3');
+  headline.textContent = panel.headline || '';
+  this.hotspotPanel_.appendChild(headline);
+  var text = document.createElement('p');
+  text.textContent = panel.text || '';
+  this.hotspotPanel_.appendChild(text);
+  if (panel.clickThroughUrl) {
+    var cta = document.createElement('button');
+    cta.textContent = panel.ctaLabel || 'Learn more';
+    cta.addEventListener('click', function() {
+      this.clickThru_(panel.clickThroughUrl, id);
+    }.bind(this), false);
+    this.hotspotPanel_.appendChild(cta);
+  }
+  var closeButton = document.createElement('button');
+  closeButton.textContent = '\u00d7';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.style.position = 'absolute';
+  closeButton.style.top = '10px';
+  closeButton.style.right = '10px';
+  closeButton.addEventListener(
+      'click',
+      this.hotspotPanelCloseOnClick_.bind(this),
+      false);
+  this.hotspotPanel_.appendChild(closeButton);
+  this.slot_.appendChild(this.hotspotPanel_);
+};
+
+
+/**
+ * Called when the hotspot panel is closed.  Resumes the ad if the panel
+ * paused it.
+ * @private
+ */
+VpaidVideoPlayer.prototype.hotspotPanelCloseOnClick_ = function() {
+  var resume = this.hotspotPanelPaused_;
+  this.hideHotspotPanel_();
+  if (resume && this.state_ == VpaidVideoPlayer.State.PAUSED) {
+    this.resumeAd();
+  }
+};
+
+
+/**
+ * @private
+ */
+VpaidVideoPlayer.prototype.hideHotspotPanel_ = function() {
+  this.removeElement_(this.hotspotPanel_);
+  this.hotspotPanel_ = null;
+  this.hotspotPanelPaused_ = false;
+};
+
+
+/**
+ * Removes the hotspots and the hotspot panel.
+ * @private
+ */
+VpaidVideoPlayer.prototype.removeHotspots_ = function() {
+  for (var index in this.hotspotElements_) {
+    this.removeElement_(this.hotspotElements_[index]);
+  }
+  this.hotspotElements_ = {};
+  this.hideHotspotPanel_();
+};
+
+
+/**
+ * @return {boolean} True if the ad is a linear, false for non linear.
+ */
+VpaidVideoPlayer.prototype.getAdLinear = function() {
+  return this.attributes_['linear'];
+};
+
+
+/**
+ * Logs events and messages.
+ *
+ * @param {string} message
+ */
+VpaidVideoPlayer.prototype.log = function(message) {
+  console.log(message);
+};
+
+
+/**
+ * Calls every callback subscribed to an event.  Any further arguments are
+ * passed on to the callbacks.  An exception thrown by one callback is logged
+ * and does not keep the others or the ad from running.
+ * @param {string} eventType
+ * @param {...*} var_args
+ * @private
+ */
+VpaidVideoPlayer.prototype.callEvent_ = function(eventType, var_args) {
+  if (eventType in VpaidVideoPlayer.TRACKING_EVENTS) {
+    this.track_(VpaidVideoPlayer.TRACKING_EVENTS[eventType]);
+  }
+  var listeners = this.eventsCallbacks_[eventType];
+  if (!listeners) {
+    return;
+  }
+  var args = Array.prototype.slice.call(arguments, 1);
+  // Copied so callbacks can unsubscribe while the event is dispatched.
+  listeners = listeners.slice();
+  for (var i = 0; i < listeners.length; i++) {
+    try {
+      listeners[i].callback.apply(listeners[i].context, args);
+    } catch (e) {
+      this.log('Error in ' + eventType + ' callback: ' + e);
+    }
+  }
+};
+
+
+/**
+ * Shows the overlay image from AdParameters in the top left corner of the
+ * video.  Only the image clicks through, the rest of the video is left to the
+ * controls.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createOverlay_ = function() {
+  if (!this.parameters_.overlay) {
+    return;
+  }
+  this.overlay_ = document.createElement('img');
+  this.overlay_.src = this.parameters_.overlay;
+  this.overlay_.alt = '';
+  var style = this.overlay_.style;
+  style.position = 'absolute';
+  style.left = '10px';
+  style.top = '10px';
+  style.maxWidth = '25%';
+  style.maxHeight = '25%';
+  style.cursor = 'pointer';
+  this.overlay_.addEventListener(
+      'click',
+      this.overlayOnClick_.bind(this),
+      false);
+  this.slot_.appendChild(this.overlay_);
+};
+
+
+/**
+ * @return {!Object} The theme of the control bar.
+ * @private
+ */
+VpaidVideoPlayer.prototype.getTheme_ = function() {
+  var theme = {};
+  var overrides = this.parameters_.theme || {};
+  for (var name in VpaidVideoPlayer.DEFAULT_THEME) {
+    theme[name] = name in overrides ?
+        overrides[name] : VpaidVideoPlayer.DEFAULT_THEME[name];
+  }
+  return theme;
+};
+
+
+/**
+ * Adds the control bar with the controls listed in the theme.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createControlBar_ = function() {
+  this.theme_ = this.getTheme_();
+  var controls = [].concat(this.theme_.controls || []);
+  if (controls.length == 0) {
+    return;
+  }
+  this.controlBar_ = document.createElement('div');
+  var style = this.controlBar_.style;
+  style.position = 'absolute';
+  style.left = '0';
+  style.right = '0';
+  style[this.theme_.position == 'top' ? 'top' : 'bottom'] = '0';
+  style.display = 'flex';
+  style.alignItems = 'center';
+  style.boxSizing = 'border-box';
+  style.padding = '0 5px';
+  style.background = this.theme_.background;
+  style.color = this.theme_.color;
+  style.transition = 'opacity 0.3s';
+  this.slot_.appendChild(this.controlBar_);
+
+  for (var i = 0; i < controls.length; i++) {
+    switch (controls[i]) {
+      case 'play':
+        this.playButton_ =
+            this.createControlButton_('', this.playButtonOnClick_);
+        this.updatePlayButton_();
+        break;
+      case 'mute':
+        this.muteButton_ =
+            this.createControlButton_('', this.muteButtonOnClick_);
+        break;
+      case 'volume':
+        this.createVolumeSlider_();
+        break;
+      case 'progress':
+        this.createProgressBar_();
+        break;
+      case 'time':
+        this.timeLabel_ = document.createElement('span');
+        this.timeLabel_.style.margin = '0 5px';
+        this.controlBar_.appendChild(this.timeLabel_);
+        break;
+      case 'captions':
+        this.createCaptionButton_();
+        break;
+      case 'skip':
+        // The skip button is shown outside the bar, see createSkipButton_.
+        break;
+      case 'fullscreen':
+        this.fullscreenButton_ =
+            this.createControlButton_('', this.fullscreenButtonOnClick_);
+        this.updateFullscreenButton_();
+        break;
+      default:
+        this.log('Warning: Unknown control ' + controls[i]);
+    }
+  }
+  this.updateMuteButton_();
+  this.updateProgress_();
+  this.layoutControlBar_();
+
+  // Any activity over the ad brings the bar back.
+  var showControlBar = this.showControlBar_.bind(this);
+  this.listen_(this.slot_, 'mousemove', showControlBar);
+  this.listen_(this.slot_, 'touchstart', showControlBar);
+  this.listen_(this.slot_, 'keydown', showControlBar);
+  this.showControlBar_();
+};
+
+
+/**
+ * Adds a button to the control bar.
+ * @param {string} label
+ * @param {function(this:VpaidVideoPlayer)} onClick
+ * @return {!Element}
+ * @private
+ */
+VpaidVideoPlayer.prototype.createControlButton_ = function(label, onClick) {
+  var button = document.createElement('button');
+  button.textContent = label;
+  button.style.margin = '0 5px';
+  button.style.font = 'inherit';
+  button.style.color = 'inherit';
+  button.style.background = 'none';
+  button.style.border = 'none';
+  button.style.cursor = 'pointer';
+  button.addEventListener('click', onClick.bind(this), false);
+  this.controlBar_.appendChild(button);
+  return button;
+};
+
+
+/**
+ * @private
+ */
+VpaidVideoPlayer.prototype.createVolumeSlider_ = function() {
+  this.volumeSlider_ = document.createElement('input');
+  this.volumeSlider_.setAttribute('type', 'range');
+  this.volumeSlider_.setAttribute('min', '0');
+  this.volumeSlider_.setAttribute('max', '1');
+  this.volumeSlider_.setAttribute('step', '0.05');
+  this.volumeSlider_.setAttribute('aria-label', 'Volume');
+  this.volumeSlider_.style.width = '15%';
+  this.volumeSlider_.style.accentColor = this.theme_.accent;
+  this.volumeSlider_.addEventListener('input', function() {
+    this.setAdVolume(Number(this.volumeSlider_.value));
+  }.bind(this), false);
+  this.controlBar_.appendChild(this.volumeSlider_);
+};
+
+
+/**
+ * @private
+ */
+VpaidVideoPlayer.prototype.createProgressBar_ = function() {
+  var track = document.createElement('div');
+  track.style.flex = '1';
+  track.style.height = '20%';
+  track.style.margin = '0 5px';
+  track.style.background = 'rgba(255, 255, 255, 0.3)';
+  this.progressBar_ = document.createElement('div');
+  this.progressBar_.style.width = '0';
+  this.progressBar_.style.height = '100%';
+  this.progressBar_.style.background = this.theme_.accent;
+  track.appendChild(this.progressBar_);
+  this.controlBar_.appendChild(track);
+};
+
+
+/**
+ * Sizes the control bar to the ad and keeps the skip button clear of it,
+ * called when the ad is resized.
+ * @private
+ */
+VpaidVideoPlayer.prototype.layoutControlBar_ = function() {
+  var height = Math.round(this.attributes_['height'] * 0.1);
+  height = Math.min(48, Math.max(24, height));
+  var fontSize = Math.round(height * 0.45) + 'px';
+  if (this.controlBar_) {
+    this.controlBar_.style.height = height + 'px';
+    this.controlBar_.style.fontSize = fontSize;
+  }
+  if (this.skipButton_) {
+    var barBelow = this.controlBar_ && this.theme_.position != 'top';
+    this.skipButton_.style.bottom = (barBelow ? height + 10 : 10) + 'px';
+    this.skipButton_.style.fontSize = fontSize;
+  }
+};
+
+
+/**
+ * Shows the control bar and hides it again after the theme's autoHide seconds
+ * unless the ad is paused.
+ * @private
+ */
+VpaidVideoPlayer.prototype.showControlBar_ = function() {
+  if (!this.controlBar_) {
+    return;
+  }
+  this.controlBar_.style.opacity = '1';
+  clearTimeout(this.controlBarTimer_);
+  this.controlBarTimer_ = null;
+  var autoHide = parseFloat(this.theme_.autoHide);
+  if (autoHide > 0 && this.state_ == VpaidVideoPlayer.State.STARTED) {
+    this.controlBarTimer_ = setTimeout(
+        this.hideControlBar_.bind(this),
+        autoHide * 1000);
+  }
+};
+
+
+/**
+ * @private
+ */
+VpaidVideoPlayer.prototype.hideControlBar_ = function() {
+  this.controlBarTimer_ = null;
+  if (this.controlBar_) {
+    this.controlBar_.style.opacity = '0';
+  }
+};
+
+
+/**
+ * Removes the control bar and its controls.
+ * @private
+ */
+VpaidVideoPlayer.prototype.removeControlBar_ = function() {
+  clearTimeout(this.controlBarTimer_);
+  this.controlBarTimer_ = null;
+  this.removeElement_(this.controlBar_);
+  this.controlBar_ = null;
+  this.playButton_ = null;
+  this.muteButton_ = null;
+  this.volumeSlider_ = null;
+  this.progressBar_ = null;
+  this.timeLabel_ = null;
+  this.fullscreenButton_ = null;
+};
+
+
+/**
+ * Fills the progress bar and shows the remaining time of the ad.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateProgress_ = function() {
+  var duration = this.attributes_['duration'];
+  var remainingTime = this.attributes_['remainingTime'];
+  if (this.progressBar_) {
+    var played = duration > 0 ? 1 - remainingTime / duration : 0;
+    this.progressBar_.style.width =
+        (Math.min(1, Math.max(0, played)) * 100).toFixed(1) + '%';
+  }
+  if (this.timeLabel_) {
+    var seconds = Math.ceil(Math.max(0, remainingTime));
+    this.timeLabel_.textContent =
+        remainingTime == VpaidVideoPlayer.UNKNOWN_TIME ? '' :
+        Math.floor(seconds / 60) + ':' + ('0' + seconds % 60).slice(-2);
+  }
+};
+
+
+/**
+ * Shows on the play button what clicking it will do.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updatePlayButton_ = function() {
+  if (this.playButton_) {
+    var paused = this.state_ == VpaidVideoPlayer.State.PAUSED;
+    this.playButton_.textContent = paused ? 'Play' : 'Pause';
+  }
+};
+
+
+/**
+ * Callback for when the play button is clicked.
+ * @private
+ */
+VpaidVideoPlayer.prototype.playButtonOnClick_ = function() {
+  if (this.state_ == VpaidVideoPlayer.State.PAUSED) {
+    this.resumeAd();
+  } else if (this.waitingForGesture_) {
+    this.playbackPromptOnClick_();
+  } else {
+    this.pauseAd();
+  }
+};
+
+
+/**
+ * Shows on the fullscreen button what clicking it will do.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateFullscreenButton_ = function() {
+  if (this.fullscreenButton_) {
+    this.fullscreenButton_.textContent =
+        this.attributes_['expanded'] ? 'Exit fullscreen' : 'Fullscreen';
+  }
+};
+
+
+/**
+ * Callback for when the fullscreen button is clicked.
+ * @private
+ */
+VpaidVideoPlayer.prototype.fullscreenButtonOnClick_ = function() {
+  if (this.attributes_['expanded']) {
+    this.collapseAd();
+  } else {
+    this.expandAd();
+  }
+};
+
+
+/**
+ * Callback for when the mute button is clicked.
+ * @private
+ */
+VpaidVideoPlayer.prototype.muteButtonOnClick_ = function() {
+  if (this.attributes_['volume'] == 0) {
+    this.setAdVolume(this.unmutedVolume_);
+  } else {
+    this.setAdVolume(0);
+  }
 };
 
 
 /**
- * Called by the video element.  Calls events as the video reaches times.
+ * Shows on the mute button what clicking it will do and moves the volume
+ * slider to the volume.
  * @private
  */
-VpaidVideoPlayer.prototype.timeUpdateHandler_ = function() {
-  if (this.lastQuartileIndex_ >= this.quartileEvents_.length) {
-    return;
+VpaidVideoPlayer.prototype.updateMuteButton_ = function() {
+  if (this.volumeSlider_) {
+    this.volumeSlider_.value = String(this.attributes_['volume']);
   }
-  var percentPlayed =
-      this.videoSlot_.currentTime * 100.0 / this.videoSlot_.duration;
-  if (percentPlayed >= this.quartileEvents_[this.lastQuartileIndex_].value) {
-    var lastQuartileEvent = this.quartileEvents_[this.lastQuartileIndex_].event;
-    this.eventsCallbacks_[lastQuartileEvent]();
-    this.lastQuartileIndex_ += 1;
+  if (!this.muteButton_) {
+    return;
   }
+  var muted = this.attributes_['volume'] == 0;
+  this.muteButton_.textContent = muted ? 'Unmute' : 'Mute';
+  this.muteButton_.setAttribute('aria-pressed', String(muted));
 };
 
 
 /**
+ * Adds the caption tracks of the current video to the video slot.  Each video
+ * in AdParameters may list captions with the url of a WebVTT file, a language
+ * and a label.
  * @private
  */
-VpaidVideoPlayer.prototype.updateVideoSlot_ = function() {
-  if (this.videoSlot_ == null) {
-    this.videoSlot_ = document.createElement('video');
-    this.log('Warning: No video element passed to ad, creating element.');
-    this.slot_.appendChild(this.videoSlot_);
-  }
-  this.updateVideoPlayerSize_();
-  var foundSource = false;
-  var videos = this.parameters_.videos || [];
-  for (var i = 0; i < videos.length; i++) {
-    // Choose the first video with a supported mimetype.
-    if (this.videoSlot_.canPlayType(videos[i].mimetype) != '') {
-      this.videoSlot_.setAttribute('src', videos[i].url);
-      foundSource = true;
-      break;
+VpaidVideoPlayer.prototype.attachCaptions_ = function() {
+  this.removeCaptionTracks_();
+  var captions = this.currentVideo_.captions || [];
+  var preferredTrack = null;
+  for (var i = 0; i < captions.length; i++) {
+    var track = document.createElement('track');
+    track.setAttribute('kind', 'captions');
+    track.setAttribute('src', captions[i].url);
+    track.setAttribute('srclang', captions[i].language || '');
+    track.setAttribute('label', captions[i].label || captions[i].language);
+    this.videoSlot_.appendChild(track);
+    this.captionTracks_.push(track);
+    if (!preferredTrack || this.isPreferredLanguage_(captions[i].language) &&
+        !this.isPreferredLanguage_(preferredTrack.srclang)) {
+      preferredTrack = track;
     }
   }
-  if (!foundSource) {
-    // Unable to find a source video.
-    this.callEvent_('AdError');
+  this.activeCaptionTrack_ = preferredTrack ? preferredTrack.track : null;
+  if (this.activeCaptionTrack_) {
+    this.activeCaptionTrack_.addEventListener(
+        'cuechange',
+        this.cueChangeListener_,
+        false);
   }
+  this.updateCaptions_();
 };
 
 
 /**
- * Helper function to update the size of the video player.
+ * @param {string|undefined} language
+ * @return {boolean} True if the language matches the browser language.
  * @private
  */
-VpaidVideoPlayer.prototype.updateVideoPlayerSize_ = function() {
-  this.videoSlot_.setAttribute('width', this.attributes_['width']);
-  this.videoSlot_.setAttribute('height', this.attributes_['height']);
+VpaidVideoPlayer.prototype.isPreferredLanguage_ = function(language) {
+  var browserLanguage = (navigator.language || '').split('-')[0];
+  return !!language && language.split('-')[0] == browserLanguage;
 };
 
 
 /**
- * Returns the versions of vpaid ad supported.
- * @param {string} version
- * @return {string}
+ * @return {boolean} True if the ad draws captions itself rather than leaving
+ *     it to the video element.  The player sets nativeCaptions to false in
+ *     environmentVars when its video element does not show cues, and
+ *     AdParameters can ask for it with drawCaptions.
+ * @private
  */
-VpaidVideoPlayer.prototype.handshakeVersion = function(version) {
-  return ('2.0');
+VpaidVideoPlayer.prototype.drawsCaptions_ = function() {
+  return this.environmentVars_.nativeCaptions === false ||
+      !!this.parameters_.drawCaptions;
 };
 
 
 /**
- * Called by the wrapper to start the ad.
+ * Shows or hides the captions to match the caption button.
+ * @private
  */
-VpaidVideoPlayer.prototype.startAd = function() {
-  this.log('Starting ad');
-  this.videoSlot_.play();
-  var img = document.createElement('img');
-  img.src = this.parameters_.overlay || '';
-  this.slot_.appendChild(img);
-  img.addEventListener('click', this.overlayOnClick_.bind(this), false);
-
-  //add a test mute button
-  var muteButton = document.createElement('input');
-  muteButton.setAttribute('type', 'button');
-  muteButton.setAttribute('value', 'mute/unMute');
+VpaidVideoPlayer.prototype.updateCaptions_ = function() {
+  for (var i = 0; i < this.captionTracks_.length; i++) {
+    var textTrack = this.captionTracks_[i].track;
+    if (textTrack && textTrack != this.activeCaptionTrack_) {
+      textTrack.mode = 'disabled';
+    }
+  }
+  if (this.activeCaptionTrack_) {
+    if (!this.captionsOn_) {
+      this.activeCaptionTrack_.mode = 'disabled';
+    } else {
+      // Hidden tracks still load their cues and fire cuechange.
+      this.activeCaptionTrack_.mode =
+          this.drawsCaptions_() ? 'hidden' : 'showing';
+    }
+  }
+  this.cueChangeHandler_();
+  if (this.captionButton_) {
+    this.captionButton_.textContent = this.captionsOn_ ? 'CC off' : 'CC on';
+    this.captionButton_.setAttribute('aria-pressed', String(this.captionsOn_));
+  }
+};
 
-  muteButton.addEventListener('click',
-      this.muteButtonOnClick_.bind(this),
-      false);
-  this.slot_.appendChild(muteButton);
 
-  this.callEvent_('AdStarted');
+/**
+ * Draws the active cues when the ad draws captions itself.
+ * @private
+ */
+VpaidVideoPlayer.prototype.cueChangeHandler_ = function() {
+  if (!this.drawsCaptions_() || !this.slot_) {
+    return;
+  }
+  var text = [];
+  var cues = this.captionsOn_ && this.activeCaptionTrack_ ?
+      this.activeCaptionTrack_.activeCues || [] : [];
+  for (var i = 0; i < cues.length; i++) {
+    text.push(cues[i].text);
+  }
+  if (!this.captionDisplay_ && text.length == 0) {
+    return;
+  }
+  if (!this.captionDisplay_) {
+    this.captionDisplay_ = document.createElement('div');
+    this.captionDisplay_.style.position = 'absolute';
+    this.captionDisplay_.style.left = '10%';
+    this.captionDisplay_.style.right = '10%';
+    this.captionDisplay_.style.bottom = '50px';
+    this.captionDisplay_.style.textAlign = 'center';
+    this.captionDisplay_.style.whiteSpace = 'pre-line';
+    this.captionDisplay_.style.color = 'white';
+    this.captionDisplay_.style.background = 'rgba(0, 0, 0, 0.7)';
+    this.captionDisplay_.style.pointerEvents = 'none';
+    this.slot_.appendChild(this.captionDisplay_);
+  }
+  this.captionDisplay_.textContent = text.join('\n');
+  this.captionDisplay_.style.display = text.length > 0 ? '' : 'none';
 };
 
 
 /**
- * Called by the wrapper to stop the ad.
+ * Adds the CC button next to the mute button when the video has captions.
+ * @private
  */
-VpaidVideoPlayer.prototype.stopAd = function() {
-  this.log('Stopping ad');
-  // Calling AdStopped immediately terminates the ad. Setting a timeout allows
-  // events to go through.
-  var callback = this.callEvent_.bind(this);
-  setTimeout(callback, 75, ['AdStopped']);
+VpaidVideoPlayer.prototype.createCaptionButton_ = function() {
+  if (this.captionTracks_.length == 0) {
+    return;
+  }
+  this.captionButton_ =
+      this.createControlButton_('', this.captionButtonOnClick_);
+  this.updateCaptions_();
 };
 
 
 /**
- * @param {number} value The volume in percentage.
+ * Callback for when the CC button is clicked.
+ * @private
  */
-VpaidVideoPlayer.prototype.setAdVolume = function(value) {
-  this.attributes_['volume'] = value;
-  this.log('setAdVolume ' + value);
-  this.callEvent_('AdVolumeChange');
+VpaidVideoPlayer.prototype.captionButtonOnClick_ = function() {
+  this.captionsOn_ = !this.captionsOn_;
+  this.log('Captions ' + (this.captionsOn_ ? 'on' : 'off'));
+  this.updateCaptions_();
 };
 
 
 /**
- * @return {number} The volume of the ad.
+ * Removes the track elements the ad added to the video slot.
+ * @private
  */
-VpaidVideoPlayer.prototype.getAdVolume = function() {
-  this.log('getAdVolume');
-  return this.attributes_['volume'];
+VpaidVideoPlayer.prototype.removeCaptionTracks_ = function() {
+  if (this.activeCaptionTrack_) {
+    this.activeCaptionTrack_.removeEventListener(
+        'cuechange',
+        this.cueChangeListener_,
+        false);
+    this.activeCaptionTrack_.mode = 'disabled';
+    this.activeCaptionTrack_ = null;
+  }
+  for (var i = 0; i < this.captionTracks_.length; i++) {
+    var track = this.captionTracks_[i];
+    if (track.parentNode) {
+      track.parentNode.removeChild(track);
+    }
+  }
+  this.captionTracks_ = [];
 };
 
 
 /**
- * @param {number} width The new width.
- * @param {number} height A new height.
- * @param {string} viewMode A new view mode.
+ * Removes the caption tracks, the CC button and the drawn captions.
+ * @private
  */
-VpaidVideoPlayer.prototype.resizeAd = function(width, height, viewMode) {
-  this.log('resizeAd ' + width + 'x' + height + ' ' + viewMode);
-  this.attributes_['width'] = width;
-  this.attributes_['height'] = height;
-  this.attributes_['viewMode'] = viewMode;
-  this.updateVideoPlayerSize_();
-  this.callEvent_('AdSizeChange');
+VpaidVideoPlayer.prototype.removeCaptions_ = function() {
+  this.removeCaptionTracks_();
+  this.removeElement_(this.captionButton_);
+  this.removeElement_(this.captionDisplay_);
+  this.captionButton_ = null;
+  this.captionDisplay_ = null;
 };
 
 
 /**
- * Pauses the ad.
+ * Pings the tracking urls that AdParameters lists for a tracking event.
+ * The [ERRORCODE] and [CACHEBUSTING] macros in the urls are filled in.
+ * @param {string} trackingEvent The tracking event, like 'impression'.
+ * @param {number=} opt_errorCode The VAST error code for error tracking.
+ * @private
  */
-VpaidVideoPlayer.prototype.pauseAd = function() {
-  this.log('pauseAd');
-  this.videoSlot_.pause();
-  this.callEvent_('AdPaused');
+VpaidVideoPlayer.prototype.track_ = function(trackingEvent, opt_errorCode) {
+  var tracking = this.parameters_.tracking || {};
+  var urls = [].concat(tracking[trackingEvent] || []);
+  for (var i = 0; i < urls.length; i++) {
+    var url = String(urls[i])
+        .replace('[ERRORCODE]', opt_errorCode || '')
+        .replace('[CACHEBUSTING]',
+            String(Math.floor(Math.random() * 1e8)));
+    this.beaconSender_.send(trackingEvent, url);
+  }
 };
 
 
 /**
- * Resumes the ad.
+ * Returns the beacons recorded instead of sent when AdParameters sets
+ * recordBeacons, so that tests can check what the ad reported.
+ * @return {!Array.<{event: string, url: string}>} The recorded beacons in the
+ *     order they were sent, empty if beacons are not being recorded.
  */
-VpaidVideoPlayer.prototype.resumeAd = function() {
-  this.log('resumeAd');
-  this.videoSlot_.play();
-  this.callEvent_('AdResumed');
+VpaidVideoPlayer.prototype.getRecordedBeacons = function() {
+  if (!(this.beaconSender_ instanceof VpaidVideoPlayer.BeaconRecorder)) {
+    return [];
+  }
+  return this.beaconSender_.beacons.slice();
 };
 
 
 /**
- * Expands the ad.
+ * Starts measuring viewability when AdParameters has a viewability object.
+ * It may set threshold, the fraction of the ad that has to be in view,
+ * viewableTime in seconds, and pauseWhenHidden to pause the ad while it is
+ * out of view.  Milestones are reported through AdLog and AdInteraction and
+ * sent to the viewable, notViewable and viewUndetermined tracking urls.
+ * @param {!Element} element The element the ad is shown in.
+ * @private
  */
-VpaidVideoPlayer.prototype.expandAd = function() {
-  this.log('expandAd');
-  this.attributes_['expanded'] = true;
-  if (elem.requestFullscreen) {
-    elem.requestFullscreen();
+VpaidVideoPlayer.prototype.startViewability_ = function(element) {
+  var options = this.parameters_.viewability;
+  if (!options) {
+    return;
+  }
+  var threshold = parseFloat(options.threshold);
+  if (!(threshold > 0 && threshold <= 1)) {
+    threshold = VpaidVideoPlayer.DEFAULT_VIEWABLE_THRESHOLD;
   }
-  this.callEvent_('AdExpanded');
+  var viewableTime = parseFloat(options.viewableTime);
+  if (!(viewableTime >= 0)) {
+    viewableTime = VpaidVideoPlayer.DEFAULT_VIEWABLE_TIME;
+  }
+  this.viewability_ = new VpaidVideoPlayer.ViewabilityTracker(
+      element,
+      threshold,
+      viewableTime,
+      this.viewabilityHandler_.bind(this));
+  this.viewability_.start();
 };
 
 
 /**
- * Returns true if the ad is expanded.
- * @return {boolean}
+ * Reports what the viewability tracker measured and pauses or resumes the ad
+ * when it goes out of or comes back into view.
+ * @param {string} event The viewability event.
+ * @private
  */
-VpaidVideoPlayer.prototype.getAdExpanded = function() {
-  this.log('getAdExpanded');
-  return this.attributes_['expanded'];
+VpaidVideoPlayer.prototype.viewabilityHandler_ = function(event) {
+  switch (event) {
+    case 'measurable':
+      this.callEvent_('AdLog', 'Viewability measurement started');
+      break;
+    case 'undetermined':
+      this.callEvent_('AdLog', 'Viewability can not be measured');
+      this.track_('viewUndetermined');
+      break;
+    case 'viewable':
+      this.callEvent_('AdLog', 'Viewable impression');
+      this.callEvent_('AdInteraction', 'viewableImpression');
+      this.track_('viewable');
+      break;
+    case 'hidden':
+      if (this.parameters_.viewability.pauseWhenHidden &&
+          this.state_ == VpaidVideoPlayer.State.STARTED) {
+        this.callEvent_('AdLog', 'Ad out of view, pausing');
+        this.pauseAd();
+        this.pausedWhenHidden_ = true;
+      }
+      break;
+    case 'visible':
+      if (this.pausedWhenHidden_) {
+        this.callEvent_('AdLog', 'Ad back in view, resuming');
+        this.resumeAd();
+      }
+      break;
+  }
 };
 
 
 /**
- * Returns the skippable state of the ad.
- * @return {boolean}
+ * Stops measuring viewability, reporting an ad that was measured but never
+ * viewable.
+ * @private
  */
-VpaidVideoPlayer.prototype.getAdSkippableState = function() {
-  this.log('getAdSkippableState');
-  return this.attributes_['skippableState'];
+VpaidVideoPlayer.prototype.stopViewability_ = function() {
+  this.pausedWhenHidden_ = false;
+  if (!this.viewability_) {
+    return;
+  }
+  this.viewability_.stop();
+  var state = this.viewability_.getState();
+  if (!state.measurable) {
+    return;
+  }
+  this.callEvent_('AdLog', 'Ad was in view for ' +
+      state.inViewTime.toFixed(1) + ' seconds');
+  if (!state.viewable) {
+    this.callEvent_('AdLog', 'Not viewable');
+    this.track_('notViewable');
+  }
 };
 
 
 /**
- * Collapses the ad.
+ * Returns what the ad measured about its own viewability, so that it can be
+ * compared to what the player measured.
+ * @return {?{measurable: boolean, viewable: boolean, fraction: number,
+ *     inViewTime: number}} Null unless AdParameters turned on viewability.
  */
-VpaidVideoPlayer.prototype.collapseAd = function() {
-  this.log('collapseAd');
-  this.attributes_['expanded'] = false;
+VpaidVideoPlayer.prototype.getViewability = function() {
+  return this.viewability_ ? this.viewability_.getState() : null;
 };
 
 
+
 /**
- * Skips the ad.
+ * Measures the viewability of an element independently of the player.  The
+ * element is viewable once at least a threshold fraction of it has been in
+ * view of a visible page for a continuous stretch of time, 50% for two
+ * seconds for video and one second for display under the MRC guidelines.
+ * @param {!Element} element The element to measure.
+ * @param {number} threshold The fraction of the element that has to be in
+ *     view, between 0 and 1.
+ * @param {number} viewableTime Seconds the element has to stay in view.
+ * @param {function(string)} listener Called with 'measurable' or
+ *     'undetermined' when measurement starts, 'viewable' once the element
+ *     became viewable, and 'hidden' or 'visible' when it goes out of or
+ *     comes back into view.
+ * @constructor
  */
-VpaidVideoPlayer.prototype.skipAd = function() {
-  this.log('skipAd');
-  var skippableState = this.attributes_['skippableState'];
-  if (skippableState) {
-    this.callEvent_('AdSkipped');
-  }
+VpaidVideoPlayer.ViewabilityTracker = function(
+    element,
+    threshold,
+    viewableTime,
+    listener) {
+  /**
+   * @type {!Element}
+   * @private
+   */
+  this.element_ = element;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.threshold_ = threshold;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.viewableTime_ = viewableTime;
+
+  /**
+   * @type {function(string)}
+   * @private
+   */
+  this.listener_ = listener;
+
+  /**
+   * The fraction of the element last reported in view.
+   * @type {number}
+   * @private
+   */
+  this.fraction_ = 0;
+
+  /**
+   * False while the ad is paused, time does not count towards viewability.
+   * @type {boolean}
+   * @private
+   */
+  this.active_ = true;
+
+  /**
+   * When the element last came into view, null while it is out of view.
+   * @type {?number}
+   * @private
+   */
+  this.inViewSince_ = null;
+
+  /**
+   * Milliseconds the element was in view before inViewSince_.
+   * @type {number}
+   * @private
+   */
+  this.inViewTime_ = 0;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.measurable_ = false;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.viewable_ = false;
+
+  /**
+   * @type {IntersectionObserver}
+   * @private
+   */
+  this.observer_ = null;
+
+  /**
+   * Fires once the element has been in view for viewableTime_.
+   * @type {?number}
+   * @private
+   */
+  this.viewableTimer_ = null;
+
+  /**
+   * @type {function()}
+   * @private
+   */
+  this.visibilityListener_ = this.update_.bind(this);
+
+  /**
+   * Whether the element was in view at the last update.
+   * @type {boolean}
+   * @private
+   */
+  this.wasInView_ = false;
 };
 
 
 /**
- * Registers a callback for an event.
- * @param {Function} aCallback The callback function.
- * @param {string} eventName The callback type.
- * @param {Object} aContext The context for the callback.
+ * Starts measuring.
  */
-VpaidVideoPlayer.prototype.subscribe = function(
-    aCallback,
-    eventName,
-    aContext) {
-  this.log('Subscribe ' + aCallback);
-  var callBack = aCallback.bind(aContext);
-  this.eventsCallbacks_[eventName] = callBack;
+VpaidVideoPlayer.ViewabilityTracker.prototype.start = function() {
+  if (!window.IntersectionObserver || document.hidden === undefined) {
+    this.listener_('undetermined');
+    return;
+  }
+  this.measurable_ = true;
+  // The viewable threshold is in the list so that crossing it either way
+  // always calls back.
+  this.observer_ = new IntersectionObserver(
+      this.intersectionHandler_.bind(this),
+      {threshold: [0, 0.25, 0.5, 0.75, 1, this.threshold_]});
+  this.observer_.observe(this.element_);
+  document.addEventListener(
+      'visibilitychange',
+      this.visibilityListener_,
+      false);
+  this.listener_('measurable');
 };
 
 
 /**
- * Removes a callback based on the eventName.
- *
- * @param {string} eventName The callback type.
+ * Stops measuring and releases the observer.
  */
-VpaidVideoPlayer.prototype.unsubscribe = function(eventName) {
-  this.log('unsubscribe ' + eventName);
-  this.eventsCallbacks_[eventName] = null;
+VpaidVideoPlayer.ViewabilityTracker.prototype.stop = function() {
+  this.setActive(false);
+  if (this.observer_) {
+    this.observer_.disconnect();
+    this.observer_ = null;
+  }
+  document.removeEventListener(
+      'visibilitychange',
+      this.visibilityListener_,
+      false);
 };
 
 
 /**
- * @return {number} The ad width.
+ * Pauses or resumes measuring along with the ad.
+ * @param {boolean} active
  */
-VpaidVideoPlayer.prototype.getAdWidth = function() {
-  return this.attributes_['width'];
+VpaidVideoPlayer.ViewabilityTracker.prototype.setActive = function(active) {
+  this.active_ = active;
+  this.update_();
 };
 
 
 /**
- * @return {number} The ad height.
+ * @param {!Array.<!IntersectionObserverEntry>} entries
+ * @private
  */
-VpaidVideoPlayer.prototype.getAdHeight = function() {
-  return this.attributes_['height'];
+VpaidVideoPlayer.ViewabilityTracker.prototype.intersectionHandler_ = function(
+    entries) {
+  this.fraction_ = entries[entries.length - 1].intersectionRatio;
+  this.update_();
 };
 
 
 /**
- * @return {number} The time remaining in the ad.
+ * @return {boolean} True if enough of the element is in view of a visible
+ *     page.
  */
-VpaidVideoPlayer.prototype.getAdRemainingTime = function() {
-  return this.attributes_['remainingTime'];
+VpaidVideoPlayer.ViewabilityTracker.prototype.isInView = function() {
+  return this.measurable_ && !document.hidden &&
+      this.fraction_ > 0 && this.fraction_ >= this.threshold_;
 };
 
 
 /**
- * @return {number} The duration of the ad.
+ * Starts or stops the in view clock after a change in intersection, page
+ * visibility or ad state.
+ * @private
  */
-VpaidVideoPlayer.prototype.getAdDuration = function() {
-  return this.attributes_['duration'];
+VpaidVideoPlayer.ViewabilityTracker.prototype.update_ = function() {
+  var inView = this.isInView();
+  var counting = inView && this.active_;
+  if (counting && this.inViewSince_ == null) {
+    this.inViewSince_ = new Date().getTime();
+    if (!this.viewable_) {
+      this.viewableTimer_ = setTimeout(
+          this.viewableHandler_.bind(this),
+          this.viewableTime_ * 1000);
+    }
+  } else if (!counting && this.inViewSince_ != null) {
+    this.inViewTime_ += new Date().getTime() - this.inViewSince_;
+    this.inViewSince_ = null;
+    clearTimeout(this.viewableTimer_);
+    this.viewableTimer_ = null;
+  }
+  if (this.measurable_ && inView != this.wasInView_) {
+    this.wasInView_ = inView;
+    this.listener_(inView ? 'visible' : 'hidden');
+  }
 };
 
 
 /**
- * @return {string} List of companions in vast xml.
+ * Called once the element has been in view long enough.
+ * @private
  */
-VpaidVideoPlayer.prototype.getAdCompanions = function() {
-  return this.attributes_['companions'];
+VpaidVideoPlayer.ViewabilityTracker.prototype.viewableHandler_ = function() {
+  this.viewableTimer_ = null;
+  this.viewable_ = true;
+  this.listener_('viewable');
 };
 
 
 /**
- * @return {string} A list of icons.
+ * @return {{measurable: boolean, viewable: boolean, fraction: number,
+ *     inViewTime: number}} What has been measured so far, inViewTime in
+ *     seconds.
  */
-VpaidVideoPlayer.prototype.getAdIcons = function() {
-  return this.attributes_['icons'];
+VpaidVideoPlayer.ViewabilityTracker.prototype.getState = function() {
+  var inViewTime = this.inViewTime_;
+  if (this.inViewSince_ != null) {
+    inViewTime += new Date().getTime() - this.inViewSince_;
+  }
+  return {
+    measurable: this.measurable_,
+    viewable: this.viewable_,
+    fraction: this.fraction_,
+    inViewTime: inViewTime / 1000
+  };
 };
 
 
+
 /**
- * @return {boolean} True if the ad is a linear, false for non linear.
+ * Sends tracking beacons over the network.
+ * @constructor
  */
-VpaidVideoPlayer.prototype.getAdLinear = function() {
-  return this.attributes_['linear'];
-};
+VpaidVideoPlayer.BeaconSender = function() {};
 
 
 /**
- * Logs events and messages.
- *
- * @param {string} message
+ * Sends a beacon with navigator.sendBeacon, falling back to an image request
+ * when sendBeacon is missing or refuses the beacon.
+ * @param {string} trackingEvent The tracking event the url belongs to.
+ * @param {string} url
  */
-VpaidVideoPlayer.prototype.log = function(message) {
-  console.log(message);
+VpaidVideoPlayer.BeaconSender.prototype.send = function(trackingEvent, url) {
+  if (navigator.sendBeacon && navigator.sendBeacon(url)) {
+    return;
+  }
+  var img = new Image();
+  img.src = url;
 };
 
 
+
 /**
- * Calls an event if there is a callback.
- * @param {string} eventType
- * @private
+ * A stand-in for BeaconSender that records beacons instead of sending them.
+ * @constructor
  */
-VpaidVideoPlayer.prototype.callEvent_ = function(eventType) {
-  if (eventType in this.eventsCallbacks_) {
-    this.eventsCallbacks_[eventType]();
-  }
+VpaidVideoPlayer.BeaconRecorder = function() {
+  /**
+   * The beacons recorded so far.
+   * @type {!Array.<{event: string, url: string}>}
+   */
+  this.beacons = [];
 };
 
 
 /**
- * Callback for when the mute button is clicked.
- * @private
+ * @param {string} trackingEvent The tracking event the url belongs to.
+ * @param {string} url
  */
-VpaidVideoPlayer.prototype.muteButtonOnClick_ = function() {
-  if (this.attributes_['volume'] == 0) {
-    this.attributes_['volume'] = 1.0;
-  } else {
-    this.attributes_['volume'] = 0.0;
-  }
-  this.callEvent_('AdVolumeChange');
+VpaidVideoPlayer.BeaconRecorder.prototype.send = function(trackingEvent, url) {
+  this.beacons.push({event: trackingEvent, url: url});
 };
 
 